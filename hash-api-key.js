@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+// Print the SHA-256 digest of an API key for use in MCP_API_KEYS.
+// Generates a random key when none is given.
+import { randomBytes } from 'node:crypto';
+import { hashApiKey } from './lib/auth.js';
+
+const key = process.argv[2] || `amcp_${randomBytes(24).toString('base64url')}`;
+
+if (!process.argv[2]) {
+  console.log(`Key:  ${key}`);
+}
+console.log(`Hash: ${hashApiKey(key)}`);
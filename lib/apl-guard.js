@@ -0,0 +1,89 @@
+import { ToolInputError } from './errors.js';
+
+// Operators a raw query may not use: ones that read other datasets
+// (union/join/lookup/externaldata), scan every field (search) or run
+// plugins (evaluate)
+const FORBIDDEN_OPERATORS = ['union', 'join', 'lookup', 'externaldata', 'search', 'evaluate'];
+
+// Functions that take a tabular argument, i.e. can read another dataset
+const TABULAR_FUNCTIONS = ['toscalar', 'materialize', 'view', 'table', 'database', 'cluster'];
+
+// A name in brackets as the list of in/!in/has_any/has_all is a dataset
+// (`where id in (['other'])`); value lists hold literals
+const DATASET_IN_LIST = /(?:\bin~?|!in~?|\bhas_any|\bhas_all)\s*\(\s*\[/;
+
+const LEADING_DATASET = /^\s*(?:\[\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")\s*\]|([A-Za-z_][A-Za-z0-9_.-]*))/;
+const ROW_LIMIT = /\b(?:limit|take|top)\s+(\d+)/g;
+
+// Blank out string literals and bracket-quoted names so keyword checks only
+// see the query structure, never user data
+function stripQuoted(apl) {
+  return apl.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, match => `"${' '.repeat(match.length - 2)}"`);
+}
+
+const unescape = (name) => name.replace(/\\(.)/g, '$1');
+
+// A pipe inside parentheses starts a nested tabular expression, which could
+// read any dataset: `where id in ((['other'] | project id))`
+function hasNestedPipe(structure) {
+  let depth = 0;
+  for (const char of structure) {
+    if (char === '(') depth++;
+    else if (char === ')') depth = Math.max(0, depth - 1);
+    else if (char === '|' && depth > 0) return true;
+  }
+  return false;
+}
+
+// Validate a caller-supplied APL query and return it capped at `maxRows`.
+// Throws ToolInputError when the query reads anything but `dataset`, uses a
+// forbidden operator, contains control commands or asks for too many rows.
+export function guardRawQuery(apl, { dataset, maxRows }) {
+  if (typeof apl !== 'string' || !apl.trim()) {
+    throw new ToolInputError('Missing required parameter: apl');
+  }
+
+  const leading = apl.match(LEADING_DATASET);
+  const target = leading && unescape(leading[1] ?? leading[2] ?? leading[3]);
+  if (target !== dataset) {
+    throw new ToolInputError(`Query must start with the dataset ['${dataset}']`);
+  }
+
+  const structure = stripQuoted(apl);
+  if (/[;]/.test(structure)) {
+    throw new ToolInputError('Only a single query statement is allowed');
+  }
+  // A comment could swallow the row cap appended below
+  if (/\/\/|\/\*/.test(structure)) {
+    throw new ToolInputError('Comments are not allowed in logs_query');
+  }
+  // Management commands (.delete, .set, .ingest, ...) start with a dot
+  if (/(^|\|)\s*\./.test(structure)) {
+    throw new ToolInputError('Control commands are not allowed');
+  }
+  for (const operator of FORBIDDEN_OPERATORS) {
+    if (new RegExp(`(^|[^A-Za-z0-9_.-])${operator}\\b`).test(structure)) {
+      throw new ToolInputError(`Operator "${operator}" is not allowed in logs_query`);
+    }
+  }
+  // Only the leading dataset may be read: no subqueries or other tables
+  for (const fn of TABULAR_FUNCTIONS) {
+    if (new RegExp(`(^|[^A-Za-z0-9_.-])${fn}\\s*\\(`).test(structure)) {
+      throw new ToolInputError(`Function "${fn}" is not allowed in logs_query`);
+    }
+  }
+  if (hasNestedPipe(structure) || DATASET_IN_LIST.test(structure)) {
+    throw new ToolInputError(`Subqueries are not allowed in logs_query; the query may only read ['${dataset}']`);
+  }
+
+  for (const [, rows] of structure.matchAll(ROW_LIMIT)) {
+    if (parseInt(rows, 10) > maxRows) {
+      throw new ToolInputError(`Queries may return at most ${maxRows} rows`);
+    }
+  }
+
+  // A trailing limit caps the result even when the query has none; a smaller
+  // limit earlier in the query still wins. It goes on its own line so nothing
+  // on the query's last line can absorb it.
+  return `${apl.trim()}\n| limit ${maxRows}`;
+}
@@ -0,0 +1,230 @@
+import { ToolInputError } from './errors.js';
+
+// Builder for Axiom APL queries. Every identifier and literal that ends up in
+// a query goes through the quoting functions below, so user input can never
+// change the shape of a query. Conditions and aggregations are opaque values
+// created by the helpers in this module; plain strings are rejected.
+//
+//   aplQuery(dataset)
+//     .where(contains('message', term), isIn('level', ['error', 'warn']))
+//     .sort('_time', 'desc')
+//     .limit(100)
+//     .toString()
+
+const EXPRESSION = Symbol('apl expression');
+const SIMPLE_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TIMESPAN = /^\d+(ms|s|m|h|d)$/;
+
+const expression = (text, { compound = false } = {}) =>
+  Object.freeze({ [EXPRESSION]: text, compound, toString: () => text });
+
+const isExpression = (value) => Boolean(value && value[EXPRESSION] !== undefined);
+
+function render(value) {
+  if (!isExpression(value)) {
+    throw new Error('APL conditions must be built with the apl.js helpers');
+  }
+  return value[EXPRESSION];
+}
+
+// Compound operands of and/or/not are parenthesized so precedence never
+// depends on how the caller nested them
+const operand = (value) => (value.compound ? `(${render(value)})` : render(value));
+
+// Quote a dataset name: ['my-dataset']
+export function quoteDataset(name) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('APL dataset name must be a non-empty string');
+  }
+  return `['${name.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`;
+}
+
+// Quote a field path. Dots separate nested keys; segments that are not plain
+// identifiers are bracket-quoted: metadata.request_id, ['my field'].inner
+export function quoteField(path) {
+  if (typeof path !== 'string' || !path) {
+    throw new ToolInputError('Field names must be non-empty strings');
+  }
+  return path.split('.').map((segment, index) => {
+    if (!segment) {
+      throw new ToolInputError(`Invalid field name: ${path}`);
+    }
+    if (SIMPLE_IDENTIFIER.test(segment)) {
+      return index === 0 ? segment : `.${segment}`;
+    }
+    return `['${segment.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`;
+  }).join('');
+}
+
+// Quote a literal value: strings, finite numbers, booleans, Dates
+export function quoteLiteral(value) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) {
+      throw new ToolInputError('Invalid date');
+    }
+    return `datetime(${value.toISOString()})`;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new ToolInputError(`Invalid number: ${value}`);
+    }
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+  if (typeof value === 'string') {
+    const escaped = value
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r')
+      .replace(/\t/g, '\\t');
+    return `"${escaped}"`;
+  }
+  throw new ToolInputError(`Unsupported APL literal: ${JSON.stringify(value)}`);
+}
+
+// Conditions
+
+export const contains = (field, value) =>
+  expression(`${quoteField(field)} contains ${quoteLiteral(String(value))}`);
+
+// Case-sensitive contains
+export const containsCs = (field, value) =>
+  expression(`${quoteField(field)} contains_cs ${quoteLiteral(String(value))}`);
+
+export const startsWith = (field, value) =>
+  expression(`${quoteField(field)} startswith ${quoteLiteral(String(value))}`);
+
+export const equals = (field, value) =>
+  expression(`${quoteField(field)} == ${quoteLiteral(value)}`);
+
+// Compare as text whatever the column's type, for IDs logged as numbers in
+// some events and strings in others
+export const textEquals = (field, value) =>
+  expression(`tostring(${quoteField(field)}) == ${quoteLiteral(String(value))}`);
+
+export const notEquals = (field, value) =>
+  expression(`${quoteField(field)} != ${quoteLiteral(value)}`);
+
+export function compare(field, operator, value) {
+  if (!['<', '<=', '>', '>='].includes(operator)) {
+    throw new Error(`Unsupported APL comparison: ${operator}`);
+  }
+  return expression(`${quoteField(field)} ${operator} ${quoteLiteral(value)}`);
+}
+
+export function isIn(field, values) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new ToolInputError(`${field} filter needs at least one value`);
+  }
+  return expression(`${quoteField(field)} in (${values.map(quoteLiteral).join(', ')})`);
+}
+
+export const isNotEmpty = (field) => expression(`isnotempty(${quoteField(field)})`);
+
+// Combine conditions; falsy entries are skipped so optional filters can be
+// written inline (`and(a, workerType && contains(...))`)
+function combine(keyword, conditions) {
+  const parts = conditions.filter(Boolean);
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+  return expression(parts.map(operand).join(` ${keyword} `), { compound: true });
+}
+
+export const and = (...conditions) => combine('and', conditions);
+export const or = (...conditions) => combine('or', conditions);
+export const not = (condition) => expression(`not(${render(condition)})`);
+
+// Any of several substrings, the usual way this repo matches log messages
+export const containsAny = (field, values) => or(...values.map(value => contains(field, value)));
+
+// Aggregations and grouping terms for summarize
+
+export const count = () => expression('count()');
+export const countIf = (condition) => expression(`countif(${render(condition)})`);
+export const min = (field) => expression(`min(${quoteField(field)})`);
+export const max = (field) => expression(`max(${quoteField(field)})`);
+
+export function bin(field, span) {
+  if (!TIMESPAN.test(span)) {
+    throw new ToolInputError(`Invalid bin size: ${span}`);
+  }
+  return expression(`bin(${quoteField(field)}, ${span})`);
+}
+
+const aggregationName = (name) => {
+  if (!SIMPLE_IDENTIFIER.test(name)) {
+    throw new Error(`Invalid APL aggregation name: ${name}`);
+  }
+  return name;
+};
+
+// Grouping terms are field names or bin() expressions
+const term = (value) => (isExpression(value) ? render(value) : quoteField(value));
+
+export function aplQuery(dataset) {
+  const stages = [quoteDataset(dataset)];
+
+  const builder = {
+    // All given conditions must hold; falsy conditions are ignored
+    where(...conditions) {
+      const condition = and(...conditions);
+      if (condition) {
+        stages.push(`where ${render(condition)}`);
+      }
+      return builder;
+    },
+
+    // Restrict _time to [start, end]; either bound may be omitted
+    between(start, end) {
+      return builder.where(
+        start && compare('_time', '>=', new Date(start)),
+        end && compare('_time', '<=', new Date(end))
+      );
+    },
+
+    project(...fields) {
+      if (fields.length > 0) {
+        stages.push(`project ${fields.map(quoteField).join(', ')}`);
+      }
+      return builder;
+    },
+
+    // `aggregations` is a single aggregation (its column is named after the
+    // expression, e.g. `count()`) or an object of named aggregations
+    summarize(aggregations, ...by) {
+      const rendered = isExpression(aggregations)
+        ? render(aggregations)
+        : Object.entries(aggregations)
+          .map(([name, aggregation]) => `${aggregationName(name)} = ${render(aggregation)}`)
+          .join(', ');
+      const grouping = by.length > 0 ? ` by ${by.map(term).join(', ')}` : '';
+      stages.push(`summarize ${rendered}${grouping}`);
+      return builder;
+    },
+
+    sort(field, direction = 'desc') {
+      if (direction !== 'asc' && direction !== 'desc') {
+        throw new ToolInputError(`Invalid sort direction: ${direction}`);
+      }
+      stages.push(`sort by ${quoteField(field)} ${direction}`);
+      return builder;
+    },
+
+    limit(n) {
+      if (!Number.isInteger(n) || n < 1) {
+        throw new ToolInputError('limit must be a positive integer');
+      }
+      stages.push(`limit ${n}`);
+      return builder;
+    },
+
+    toString() {
+      return stages.join(' | ');
+    }
+  };
+
+  return builder;
+}
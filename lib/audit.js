@@ -0,0 +1,113 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import fetch from 'node-fetch';
+import {
+  AUDIT_AXIOM_DATASET,
+  AUDIT_LOG_PATH,
+  AXIOM_API_TOKEN,
+  AXIOM_API_URL
+} from './config.js';
+
+// Upper bound on IDs stored per record; larger operations are summarized
+const MAX_AFFECTED_IDS = 500;
+
+// Collect the `id` of every row in the arrays of a tool result, e.g.
+// deleted.videos or jobs, as the IDs affected by the call
+export function collectAffectedIds(result) {
+  const ids = new Set();
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (item && typeof item === 'object' && item.id !== undefined && item.id !== null) {
+          ids.add(String(item.id));
+        }
+        visit(item);
+      }
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(result);
+  return [...ids];
+}
+
+// Append-only audit trail. Each record is one JSON line in a local file and,
+// when a dataset is configured, is also sent to Axiom's ingest API so the
+// trail survives machine restarts.
+export function createAuditLog({ filePath = AUDIT_LOG_PATH, axiomDataset = AUDIT_AXIOM_DATASET } = {}) {
+  // Serialize appends so concurrent calls never interleave lines
+  let writeQueue = Promise.resolve();
+
+  async function ship(record) {
+    const response = await fetch(`${AXIOM_API_URL}/datasets/${encodeURIComponent(axiomDataset)}/ingest`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${AXIOM_API_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify([{ _time: record.time, ...record }])
+    });
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Axiom ingest error: ${response.status} - ${error}`);
+    }
+  }
+
+  return {
+    // Persist one record. Failures are logged rather than thrown so that an
+    // audit outage is visible without masking the tool result.
+    async record(entry) {
+      const affectedIds = entry.affectedIds || [];
+      const record = {
+        time: new Date().toISOString(),
+        ...entry,
+        affectedIds: affectedIds.slice(0, MAX_AFFECTED_IDS),
+        affectedCount: affectedIds.length
+      };
+
+      writeQueue = writeQueue.then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+      }).catch(error => {
+        console.error('Audit log write error:', error);
+      });
+      await writeQueue;
+
+      if (axiomDataset) {
+        ship(record).catch(error => console.error('Audit log ingest error:', error));
+      }
+      return record;
+    },
+
+    // Read records from the local file, newest first
+    async query({ tool, caller, environment, outcome, since, limit = 50 } = {}) {
+      let content;
+      try {
+        content = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const sinceTime = since ? new Date(since).getTime() : null;
+      const records = [];
+      const lines = content.split('\n');
+      for (let i = lines.length - 1; i >= 0 && records.length < limit; i--) {
+        if (!lines[i].trim()) continue;
+        let record;
+        try {
+          record = JSON.parse(lines[i]);
+        } catch {
+          continue;
+        }
+        if (sinceTime !== null && new Date(record.time).getTime() < sinceTime) continue;
+        if (tool && !record.tool?.includes(tool)) continue;
+        if (caller && record.caller !== caller) continue;
+        if (environment && record.environment !== environment) continue;
+        if (outcome && record.outcome !== outcome) continue;
+        records.push(record);
+      }
+      return records;
+    }
+  };
+}
@@ -0,0 +1,132 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import fs from 'node:fs';
+import {
+  MCP_API_KEYS,
+  MCP_API_KEYS_FILE,
+  MCP_AUTH_DISABLED
+} from './config.js';
+import { SCOPES } from './scopes.js';
+
+const KNOWN_SCOPES = new Set([...Object.values(SCOPES), '*']);
+
+// Keys without a scopes list may investigate but not mutate
+const DEFAULT_SCOPES = [SCOPES.LOGS_READ, SCOPES.DB_READ];
+
+// Keys are stored as SHA-256 hex digests, never in plain text
+export function hashApiKey(key) {
+  return createHash('sha256').update(key, 'utf8').digest('hex');
+}
+
+// Parse and validate the configured API key records
+export function loadApiKeys() {
+  let source = MCP_API_KEYS;
+  if (MCP_API_KEYS_FILE) {
+    source = fs.readFileSync(MCP_API_KEYS_FILE, 'utf8');
+  }
+  if (!source.trim()) return [];
+
+  let records;
+  try {
+    records = JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Invalid API key configuration: ${error.message}`);
+  }
+  if (!Array.isArray(records)) {
+    throw new Error('Invalid API key configuration: expected a JSON array');
+  }
+
+  return records.map((record, index) => {
+    if (!record || typeof record.name !== 'string' || !record.name) {
+      throw new Error(`Invalid API key configuration: entry ${index} has no name`);
+    }
+    if (typeof record.hash !== 'string' || !/^[0-9a-f]{64}$/i.test(record.hash)) {
+      throw new Error(`Invalid API key configuration: ${record.name} needs a SHA-256 hex hash`);
+    }
+    if (record.scopes !== undefined && !Array.isArray(record.scopes)) {
+      throw new Error(`Invalid API key configuration: scopes of ${record.name} must be an array`);
+    }
+    const unknown = (record.scopes || []).filter(scope => !KNOWN_SCOPES.has(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid API key configuration: unknown scopes for ${record.name}: ${unknown.join(', ')}`);
+    }
+    return {
+      name: record.name,
+      hash: Buffer.from(record.hash.toLowerCase(), 'hex'),
+      scopes: record.scopes || DEFAULT_SCOPES,
+      disabled: record.disabled === true,
+      expiresAt: record.expiresAt ? new Date(record.expiresAt) : null
+    };
+  });
+}
+
+// Read the presented key from `Authorization: Bearer <key>` or `X-API-Key`
+function extractApiKey(req) {
+  const header = req.headers.authorization;
+  if (header) {
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+function sendAuthError(res, status, error, description) {
+  if (status === 401) {
+    res.set('WWW-Authenticate', `Bearer error="${error}", error_description="${description}"`);
+  }
+  res.status(status).json({ error: description });
+}
+
+// Express middleware authenticating every request against the configured keys.
+// On success the caller identity is attached as req.auth in the MCP SDK's
+// AuthInfo shape ({ token, clientId, scopes, expiresAt }), which the SDK
+// transports hand on to tool handlers as extra.authInfo.
+export function createAuthMiddleware({ keys = loadApiKeys(), disabled = MCP_AUTH_DISABLED, publicPaths = ['/health'] } = {}) {
+  if (disabled) {
+    console.warn('WARNING: authentication is disabled (MCP_AUTH_DISABLED=true)');
+  } else if (keys.length === 0) {
+    console.warn('WARNING: no API keys configured; every authenticated route will answer 401');
+  }
+
+  return (req, res, next) => {
+    if (publicPaths.includes(req.path) || req.method === 'OPTIONS') {
+      return next();
+    }
+    if (disabled) {
+      req.auth = { token: '', clientId: 'anonymous', scopes: ['*'] };
+      return next();
+    }
+
+    const presented = extractApiKey(req);
+    if (!presented) {
+      return sendAuthError(res, 401, 'invalid_request', 'Missing API key');
+    }
+
+    // Compare digests in constant time and check every key so timing does
+    // not reveal which entry matched
+    const digest = Buffer.from(hashApiKey(presented), 'hex');
+    let match = null;
+    for (const key of keys) {
+      if (timingSafeEqual(digest, key.hash) && !match) {
+        match = key;
+      }
+    }
+
+    if (!match) {
+      return sendAuthError(res, 401, 'invalid_token', 'Invalid API key');
+    }
+    if (match.disabled) {
+      return sendAuthError(res, 403, 'invalid_token', `API key ${match.name} is disabled`);
+    }
+    if (match.expiresAt && match.expiresAt.getTime() <= Date.now()) {
+      return sendAuthError(res, 403, 'invalid_token', `API key ${match.name} has expired`);
+    }
+
+    req.auth = {
+      token: presented,
+      clientId: match.name,
+      scopes: match.scopes,
+      ...(match.expiresAt ? { expiresAt: Math.floor(match.expiresAt.getTime() / 1000) } : {})
+    };
+    next();
+  };
+}
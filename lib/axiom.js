@@ -0,0 +1,563 @@
+import fetch from 'node-fetch';
+import {
+  AXIOM_API_TOKEN,
+  AXIOM_API_URL,
+  AXIOM_RESULT_FORMAT,
+  LOGS_QUERY_MAX_ROWS,
+  LOGS_QUERY_MAX_SPAN_HOURS
+} from './config.js';
+import { ToolInputError } from './errors.js';
+import { aplQuery, compare, contains, containsAny, count, countIf, equals, max, min, or, textEquals } from './apl.js';
+import { CURSOR_AFTER, cursorState, decodeCursor, nextCursor, rowId, rowTime } from './log-cursor.js';
+import { inferLevel, isAtLeast, levelCondition, minLevelCondition, validateLevel } from './log-levels.js';
+import { fieldCondition, matchesField, parseLogFields } from './log-parsing.js';
+import { buildStageTimeline, loadVideoPipeline } from './video-timeline.js';
+import { clusterErrors, loadErrorRules } from './error-fingerprint.js';
+import { guardRawQuery } from './apl-guard.js';
+import { resolveTimeRange } from './time-range.js';
+
+// Flatten a log event into the shape every logs tool returns. The level
+// field is mostly null, so `level` is the severity inferred from the event
+// (see log-levels.js), or null when it has none. `fields` holds the metadata
+// parsed from the message and metadata columns (see log-parsing.js).
+function normalizeEvent(data = {}) {
+  const event = {
+    time: data._time || null,
+    message: data.message || data.log || 'No message',
+    level: null,
+    source: data.source || null,
+    ...data
+  };
+  event.level = inferLevel(data);
+  event.fields = parseLogFields(data);
+  return event;
+}
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// Rows holding just `names` (dotted paths into the event), as `project` would
+// return them
+function pickFields(row, names) {
+  const picked = {};
+  for (const name of new Set(names)) {
+    const value = name in row ? row[name] : name.split('.').reduce((item, key) => item?.[key], row);
+    if (value !== undefined) {
+      picked[name] = value;
+    }
+  }
+  return picked;
+}
+
+// Tabular responses hold one table per result set, stored column by column:
+// `fields[i]` describes `columns[i]`. Tables of event queries become
+// normalized events; tables of summarize queries (fields carrying `agg`) keep
+// their plain columns, including the bin(_time, ...) bucket of each row.
+function rowsFromTabular(data, normalize) {
+  const [table] = data.tables;
+  if (!table || !Array.isArray(table.fields) || !Array.isArray(table.columns)) {
+    return [];
+  }
+
+  const names = table.fields.map(field => field.name);
+  const aggregated = table.fields.some(field => field.agg);
+  const rowCount = table.columns[0]?.length || 0;
+  const rows = [];
+  for (let i = 0; i < rowCount; i++) {
+    const row = {};
+    names.forEach((name, column) => {
+      const value = table.columns[column]?.[i] ?? null;
+      // Event tables have a column for every field seen in the range; leave
+      // out the ones this event does not have
+      if (value !== null || aggregated) {
+        row[name] = value;
+      }
+    });
+    rows.push(row);
+  }
+
+  return aggregated || !normalize ? rows : rows.map(normalizeEvent);
+}
+
+// Legacy responses list events under `matches` and summarize results under
+// `buckets`, as groups with a list of { op, value } aggregations
+function rowsFromLegacy(data, normalize) {
+  const totals = data.buckets?.totals;
+  if (Array.isArray(totals) && totals.length > 0 && (!data.matches || data.matches.length === 0)) {
+    return totals.map(({ group = {}, aggregations = [] }) => ({
+      ...group,
+      ...Object.fromEntries(aggregations.map(({ op, alias, value }) => [alias || op, value]))
+    }));
+  }
+  const rows = data.matches.map(entry => ({
+    _time: entry._time,
+    ...(entry._rowId ? { _rowId: entry._rowId } : {}),
+    ...(entry.data || {})
+  }));
+  return normalize ? rows.map(normalizeEvent) : rows;
+}
+
+async function postQuery(format, body) {
+  const response = await fetch(`${AXIOM_API_URL}/datasets/_apl?format=${format}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${AXIOM_API_TOKEN}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Axiom API error: ${response.status} - ${error}`);
+  }
+
+  return await response.json();
+}
+
+// Helper function to query Axiom logs. `apl` is a query built with aplQuery()
+// (or an APL string). Uses the tabular result format (AXIOM_RESULT_FORMAT) and
+// falls back to the legacy format when a response carries no tables.
+// With `normalize: false` event rows are returned with only the fields Axiom
+// sent, e.g. for queries ending in `project`.
+export async function queryAxiom(apl, startTime = null, endTime = null, { normalize = true } = {}) {
+  console.log('Executing APL query:', String(apl));
+  const body = {
+    apl: String(apl),
+    startTime: startTime || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+    endTime: endTime || new Date().toISOString()
+  };
+
+  if (AXIOM_RESULT_FORMAT === 'tabular') {
+    const data = await postQuery('tabular', body);
+    if (data && Array.isArray(data.tables)) {
+      return rowsFromTabular(data, normalize);
+    }
+    console.error('Tabular response without tables from Axiom, retrying with legacy format');
+  }
+
+  const data = await postQuery('legacy', body);
+  
+  // Validate response structure
+  if (!data || !Array.isArray(data.matches)) {
+    console.error('Invalid response structure from Axiom:', data);
+    return [];
+  }
+  
+  return rowsFromLegacy(data, normalize);
+}
+
+// Axiom field schema documentation
+// Based on actual data observed:
+// - _time: Timestamp field (sometimes unreliable according to comments)
+// - message: Main log content field (primary field)
+// - log: Alternative log content field (fallback)
+// - level: Log level field (appears to always be null in current data)
+// - source: Source of the log
+// - metadata.request_id: Request ID for tracing (may not always exist)
+
+// Shared helper functions for logs operations
+export const logsHelpers = {
+  // Default limit to prevent token overflow
+  DEFAULT_LIMIT: 100,
+  // Largest page a log-listing tool returns
+  MAX_PAGE_SIZE: 1000,
+  // Batches of MAX_PAGE_SIZE rows one page may scan when filtering rows
+  MAX_FILTER_SCANS: 5,
+  // Log entries videoProcessingTimeline reads at most
+  TIMELINE_MAX_ENTRIES: 2000,
+
+  // Fetch one page of log rows matching `where`, ordered by _time, within the
+  // window given by `from`/`to` (the `defaultHours` before now by default).
+  // `options` is { limit, cursor, fields, minLevel, from, to } from the tool
+  // arguments; the result carries the window used and the cursor of the
+  // following page, or null on the last page. With `fields` the rows hold just
+  // those fields (plus _time, which paging needs).
+  //
+  // With `minLevel` (or the helper's default) only entries whose inferred
+  // level is at least minLevel are returned, and with `match` only the
+  // normalized entries it accepts. `where` then only narrows the rows down to
+  // candidates and the rest is filtered here, scanning further batches until
+  // the page is full; after MAX_FILTER_SCANS batches the page is returned
+  // short, with a cursor that continues after the rows scanned.
+  async _listPage(dataset, { where = [], order = 'desc', defaultHours = 24, minLevel: defaultMinLevel, match }, {
+    limit = this.DEFAULT_LIMIT,
+    cursor,
+    fields,
+    minLevel = defaultMinLevel,
+    from,
+    to
+  } = {}) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.MAX_PAGE_SIZE) {
+      throw new ToolInputError(`limit must be an integer between 1 and ${this.MAX_PAGE_SIZE}`);
+    }
+    if (fields !== undefined && (!Array.isArray(fields) || fields.length === 0)) {
+      throw new ToolInputError('fields must be a non-empty array of field names');
+    }
+    if (minLevel !== undefined) {
+      validateLevel(minLevel);
+    }
+    const previous = decodeCursor(cursor, order);
+    const timeRange = resolveTimeRange({ from, to, defaultHours });
+    const levelFilter = minLevelCondition(minLevel ?? 'debug');
+    const filtered = Boolean(levelFilter || match);
+    const accepts = (row) => (!levelFilter || isAtLeast(row.level, minLevel)) && (!match || match(row));
+    // Filters need the whole normalized event (level and IDs can come from
+    // any column), so when filtering Axiom returns full rows and fields are
+    // picked from them here instead of projected
+    const project = fields && !filtered;
+    const batchSize = filtered ? this.MAX_PAGE_SIZE : limit + 1;
+
+    const scanned = [];
+    const accepted = [];
+    let exhausted = false;
+    for (let scan = 0; scan < this.MAX_FILTER_SCANS && accepted.length <= limit && !exhausted; scan++) {
+      const position = scan === 0 ? previous : cursorState(scanned, previous);
+
+      // Resume at the position's millisecond (inclusive) and drop the rows at
+      // that millisecond that were already returned or scanned
+      const resume = position && (order === 'desc'
+        ? compare('_time', '<', new Date(position.time + 1))
+        : compare('_time', '>=', new Date(position.time)));
+      const apl = aplQuery(dataset)
+        .where(...where, levelFilter, resume)
+        .sort('_time', order)
+        .limit(batchSize + (position ? position.ids.length : 0));
+      if (project) {
+        apl.project(...new Set(['_time', ...fields]));
+      }
+
+      const rows = (await queryAxiom(apl, timeRange.from, timeRange.to, { normalize: !project })).filter(row =>
+        !position || rowTime(row) !== position.time || !position.ids.includes(rowId(row)));
+      exhausted = rows.length < batchSize;
+
+      for (const row of rows) {
+        if (!filtered || accepts(row)) {
+          accepted.push(scanned.length);
+        }
+        scanned.push(row);
+      }
+    }
+
+    // Cursor after the first `count` accepted rows
+    const cursorAfter = (count) => nextCursor(scanned.slice(0, accepted[count - 1] + 1), previous, order);
+    let next = null;
+    if (accepted.length > limit) {
+      next = cursorAfter(limit);
+    } else if (!exhausted) {
+      next = nextCursor(scanned, previous, order);
+    }
+
+    const logs = accepted.slice(0, limit).map(index =>
+      (fields && !project ? pickFields(scanned[index], ['_time', ...fields]) : scanned[index]));
+    return {
+      logs,
+      nextCursor: next,
+      timeRange,
+      [CURSOR_AFTER]: cursorAfter
+    };
+  },
+
+  // Get recent logs
+  async getRecentLogs(dataset, options) {
+    return await this._listPage(dataset, { order: 'desc' }, options);
+  },
+
+  // Search logs by query
+  async searchLogs(dataset, query, options) {
+    if (!query) {
+      throw new ToolInputError('Missing required parameter: query');
+    }
+    return await this._listPage(dataset, {
+      where: [contains('message', query)],
+      order: 'desc'
+    }, options);
+  },
+
+  // Get error logs: entries at error level or above unless the caller
+  // passes another minLevel
+  async getErrorLogs(dataset, options) {
+    return await this._listPage(dataset, {
+      order: 'desc',
+      minLevel: 'error'
+    }, options);
+  },
+
+  // Get logs by time range
+  async getLogsByTimeRange(dataset, from, to, options) {
+    if (!from || !to) {
+      throw new ToolInputError('Missing required parameters: from and to');
+    }
+    return await this._listPage(dataset, { order: 'desc' }, { ...options, from, to });
+  },
+
+  // Get logs by request ID
+  async getLogsByRequestId(dataset, requestId, options) {
+    if (!requestId) {
+      throw new ToolInputError('Missing required parameter: requestId');
+    }
+    // Note: Using metadata.request_id based on current schema
+    return await this._listPage(dataset, {
+      where: [equals('metadata.request_id', requestId)],
+      order: 'asc'
+    }, options);
+  },
+
+  // Run a caller-supplied APL query against this dataset only, within the
+  // row and time-span limits of LOGS_QUERY_MAX_ROWS/LOGS_QUERY_MAX_SPAN_HOURS
+  async runQuery(dataset, apl, { from, to } = {}) {
+    const query = guardRawQuery(apl, { dataset, maxRows: LOGS_QUERY_MAX_ROWS });
+    const timeRange = resolveTimeRange({ from, to, maxSpanHours: LOGS_QUERY_MAX_SPAN_HOURS });
+    const rows = await queryAxiom(query, timeRange.from, timeRange.to);
+    return { rows, timeRange };
+  },
+
+  // Get log statistics
+  async getLogStats(dataset, hours = 24, { from, to } = {}) {
+    const timeRange = resolveTimeRange({ from, to, defaultHours: hours });
+    
+    // Note: _time field reportedly unreliable, but still using for stats.
+    // Counts come from the level formats APL can match; syslog lines are only
+    // in total_logs since their severity is encoded in the priority number.
+    const levelCount = (...levels) => countIf(levelCondition(levels, { syslog: false }));
+    const apl = aplQuery(dataset).summarize({
+      total_logs: count(),
+      error_logs: levelCount('error', 'critical'),
+      info_logs: levelCount('info', 'notice'),
+      warning_logs: levelCount('warning')
+    });
+    const stats = await queryAxiom(apl, timeRange.from, timeRange.to);
+    
+    return {
+      timeRange,
+      stats: stats[0] || { total_logs: 0, error_logs: 0, info_logs: 0, warning_logs: 0 }
+    };
+  },
+
+  // Delete logs before date
+  async deleteLogsBeforeDate(dataset, date) {
+    if (!date) {
+      throw new ToolInputError('Missing required parameter: date');
+    }
+    
+    // Validate date
+    const targetDate = new Date(date);
+    if (isNaN(targetDate.getTime())) {
+      throw new ToolInputError('Invalid date format');
+    }
+    
+    const durationSeconds = Math.floor((Date.now() - targetDate.getTime()) / 1000);
+    if (durationSeconds <= 0) {
+      throw new ToolInputError('Date must be in the past');
+    }
+    
+    const response = await fetch(`${AXIOM_API_URL}/datasets/${encodeURIComponent(dataset)}/trim`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${AXIOM_API_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ 
+        maxDuration: `${durationSeconds}s`
+      })
+    });
+    
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Failed to delete logs: ${response.status} - ${error}`);
+    }
+    
+    return { deleted: true, before: date };
+  },
+
+  // Get dataset info
+  async getDatasetInfo(dataset) {
+    const response = await fetch(`${AXIOM_API_URL}/datasets/${encodeURIComponent(dataset)}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${AXIOM_API_TOKEN}`,
+        'Accept': 'application/json'
+      }
+    });
+    
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Failed to get dataset info: ${response.status} - ${error}`);
+    }
+    
+    return await response.json();
+  },
+
+  // Clear all logs
+  async clearAllLogs(dataset) {
+    const response = await fetch(`${AXIOM_API_URL}/datasets/${encodeURIComponent(dataset)}/trim`, {
+      method: 'POST', 
+      headers: {
+        'Authorization': `Bearer ${AXIOM_API_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ 
+        maxDuration: '8760h' // 1 year - effectively clears all
+      })
+    });
+    
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Failed to clear logs: ${response.status} - ${error}`);
+    }
+    
+    return { cleared: true, dataset };
+  },
+
+  // _listPage spec for the entries where any metadata field (see
+  // log-parsing.js) of `values`, e.g. { video_id: '...' }, has its value, in
+  // the message text in any of the formats the services use or in the
+  // metadata column
+  _fieldFilter(values) {
+    const pairs = Object.entries(values).filter(([, value]) => hasValue(value));
+    return {
+      where: [or(...pairs.map(([name, value]) => fieldCondition(name, value)))],
+      order: 'asc',
+      match: (row) => pairs.some(([name, value]) => matchesField(row, name, value))
+    };
+  },
+
+  // Get logs mentioning any of several IDs, e.g. { process_request_id, video_id },
+  // oldest first unless `order` is 'desc'
+  async getLogsByFields(dataset, values, { order = 'asc', ...options } = {}) {
+    if (!values || !Object.values(values).some(hasValue)) {
+      throw new ToolInputError('At least one ID is required to search logs');
+    }
+    return await this._listPage(dataset, { ...this._fieldFilter(values), order }, options);
+  },
+
+  // Get logs for a specific video by video_id or yt_id
+  async getLogsByVideo(dataset, videoId, isYtId = false, options) {
+    if (!videoId) {
+      throw new ToolInputError('Missing required parameter: videoId');
+    }
+    
+    return await this._listPage(dataset, this._fieldFilter({ [isYtId ? 'yt_id' : 'video_id']: videoId }), options);
+  },
+
+  // Get logs for a specific process request
+  async getLogsByProcessRequest(dataset, processRequestId, options) {
+    if (!processRequestId) {
+      throw new ToolInputError('Missing required parameter: processRequestId');
+    }
+    
+    return await this._listPage(dataset, this._fieldFilter({ process_request_id: processRequestId }), options);
+  },
+
+  // Get logs for a specific user
+  async getLogsByUser(dataset, userId, hours = 24, options) {
+    if (!userId) {
+      throw new ToolInputError('Missing required parameter: userId');
+    }
+    
+    return await this._listPage(dataset, {
+      ...this._fieldFilter({ user_id: userId }),
+      order: 'desc',
+      defaultHours: hours
+    }, options);
+  },
+
+  // Get logs for a specific batch
+  async getLogsByBatch(dataset, batchId, options) {
+    if (!batchId) {
+      throw new ToolInputError('Missing required parameter: batchId');
+    }
+    
+    return await this._listPage(dataset, this._fieldFilter({ batch_id: batchId }), options);
+  },
+
+  // Get worker pool activity logs
+  async getWorkerLogs(dataset, workerType, hours = 1, options) {
+    return await this._listPage(dataset, {
+      where: [
+        containsAny('message', ['worker', 'Worker']),
+        workerType && contains('message', workerType)
+      ],
+      order: 'desc',
+      defaultHours: hours
+    }, options);
+  },
+
+  // Get processing timeline for a video: per-stage durations, retries and
+  // stages that never finished, from the stages of `pipeline` (see
+  // video-timeline.js)
+  async getVideoProcessingTimeline(dataset, videoId, { from, to } = {}, pipeline = loadVideoPipeline()) {
+    if (!videoId) {
+      throw new ToolInputError('Missing required parameter: videoId');
+    }
+    const timeRange = resolveTimeRange({ from, to });
+
+    // Get all logs related to this video; one row past the cap tells whether
+    // later entries were cut off
+    const apl = aplQuery(dataset)
+      .where(or(contains('message', videoId), textEquals('metadata.video_id', videoId)))
+      .sort('_time', 'asc')
+      .limit(this.TIMELINE_MAX_ENTRIES + 1);
+    const rows = await queryAxiom(apl, timeRange.from, timeRange.to);
+    const truncated = rows.length > this.TIMELINE_MAX_ENTRIES;
+    const logs = rows.slice(0, this.TIMELINE_MAX_ENTRIES);
+
+    const timeline = {
+      videoId,
+      timeRange,
+      startTime: logs[0]?.time || null,
+      endTime: logs[logs.length - 1]?.time || null,
+      totalDuration: null,
+      // Later stages are missing from a truncated timeline; narrow from/to
+      truncated,
+      ...buildStageTimeline(logs, pipeline),
+      errors: logs
+        .filter(log => isAtLeast(log.level, 'error'))
+        .map(log => ({ time: log.time, level: log.level, message: log.message }))
+    };
+    if (logs.length > 0) {
+      timeline.totalDuration = new Date(timeline.endTime) - new Date(timeline.startTime);
+    }
+
+    return timeline;
+  },
+
+  // Get failed operations summary: error entries clustered by fingerprint
+  // and classified by `rules` (see error-fingerprint.js)
+  async getFailedOperations(dataset, hours = 24, { from, to } = {}, rules = loadErrorRules()) {
+    const timeRange = resolveTimeRange({ from, to, defaultHours: hours });
+    
+    // The query groups candidate messages; the ones whose inferred level is
+    // below error are dropped here
+    const apl = aplQuery(dataset)
+      .where(minLevelCondition('error'))
+      .summarize({ error_count: count(), first_seen: min('_time'), last_seen: max('_time') }, 'message', 'level');
+    const result = (await queryAxiom(apl, timeRange.from, timeRange.to))
+      .filter(entry => isAtLeast(inferLevel(entry), 'error'));
+
+    const clusters = clusterErrors(result.map(entry => ({
+      message: entry.message ?? '',
+      count: entry.error_count || 1,
+      firstSeen: entry.first_seen,
+      lastSeen: entry.last_seen
+    })), rules);
+
+    // Totals per classified type
+    const errorTypes = {};
+    for (const cluster of clusters) {
+      const type = (errorTypes[cluster.type] ||= { count: 0, clusters: 0, examples: [] });
+      type.count += cluster.count;
+      type.clusters++;
+      if (type.examples.length < 3) {
+        type.examples.push(cluster.samples[0]);
+      }
+    }
+    
+    return {
+      timeRange,
+      totalErrors: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+      errorTypes,
+      clusters
+    };
+  }
+};
@@ -0,0 +1,95 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Axiom API configuration
+export const AXIOM_API_TOKEN = process.env.AXIOM_API_TOKEN || 'xaat-b7d32f2d-76e5-4c44-be33-c702fa2a74a6';
+export const AXIOM_DELICIOUS_SIENNA_FLUKE_DATASET = process.env.AXIOM_DATASET || 'delicious-sienna-fluke';
+export const AXIOM_PRODUCTION_DATASET = process.env.AXIOM_PRODUCTION_DATASET || 'delicious-sienna-fluke-production';
+export const AXIOM_API_URL = 'https://api.axiom.co/v1';
+// APL result format: 'tabular' (default) or 'legacy'
+export const AXIOM_RESULT_FORMAT = process.env.AXIOM_RESULT_FORMAT === 'legacy' ? 'legacy' : 'tabular';
+export const PORT = process.env.PORT || 3456;
+
+// Streamable HTTP sessions without requests or open streams for this long
+// are closed, for clients that disconnect without DELETE
+export const MCP_SESSION_IDLE_TIMEOUT_SECONDS = parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT_SECONDS || '1800', 10);
+
+// Size budget for tool results sent to MCP clients. TOOL_OUTPUT_MAX_TOKENS,
+// when set, overrides the character budget at ~4 characters per token.
+export const TOOL_OUTPUT_MAX_CHARS = process.env.TOOL_OUTPUT_MAX_TOKENS
+  ? parseInt(process.env.TOOL_OUTPUT_MAX_TOKENS, 10) * 4
+  : parseInt(process.env.TOOL_OUTPUT_MAX_CHARS || '100000', 10);
+export const TOOL_OUTPUT_MAX_MESSAGE_CHARS = parseInt(process.env.TOOL_OUTPUT_MAX_MESSAGE_CHARS || '2000', 10);
+
+// Longest from/to window the log tools accept (default 90 days)
+export const LOGS_MAX_SPAN_HOURS = parseInt(process.env.LOGS_MAX_SPAN_HOURS || '2160', 10);
+
+// Model of the video processing pipeline used by videoProcessingTimeline, as
+// JSON inline in VIDEO_PIPELINE or in the file named by VIDEO_PIPELINE_FILE
+// (format in video-timeline.js). The built-in model is used when neither is set.
+export const VIDEO_PIPELINE = process.env.VIDEO_PIPELINE || '';
+export const VIDEO_PIPELINE_FILE = process.env.VIDEO_PIPELINE_FILE || '';
+
+// Custom error classification rules for failedOperations, as JSON inline in
+// ERROR_RULES or in the file named by ERROR_RULES_FILE (format in
+// error-fingerprint.js)
+export const ERROR_RULES = process.env.ERROR_RULES || '';
+export const ERROR_RULES_FILE = process.env.ERROR_RULES_FILE || '';
+
+// Guardrails for the raw APL query tool (logs_query)
+export const LOGS_QUERY_MAX_ROWS = parseInt(process.env.LOGS_QUERY_MAX_ROWS || '1000', 10);
+export const LOGS_QUERY_MAX_SPAN_HOURS = parseInt(process.env.LOGS_QUERY_MAX_SPAN_HOURS || '168', 10);
+
+// Connection pool settings shared by every database
+const DB_POOL_OPTIONS = {
+  max: parseInt(process.env.DB_POOL_MAX || '5', 10),
+  idleTimeoutMillis: parseInt(process.env.DB_POOL_IDLE_TIMEOUT_MS || '30000', 10),
+  connectionTimeoutMillis: parseInt(process.env.DB_CONNECTION_TIMEOUT_MS || '10000', 10),
+  statement_timeout: parseInt(process.env.DB_STATEMENT_TIMEOUT_MS || '30000', 10)
+};
+
+// Database configurations
+export const DB_CONFIGS = {
+  'delicious-sienna-fluke': {
+    connectionString: process.env.DATABASE_URL || process.env.DB_DELICIOUS_SIENNA_FLUKE_URL,
+    ssl: { rejectUnauthorized: false },
+    ...DB_POOL_OPTIONS
+  },
+  production: {
+    connectionString: process.env.DB_PRODUCTION_URL,
+    ssl: { rejectUnauthorized: false },
+    ...DB_POOL_OPTIONS
+  }
+};
+
+// Audit trail of mutating tool calls: a local append-only JSON Lines file,
+// optionally also shipped to a dedicated Axiom dataset
+export const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || 'data/audit.jsonl';
+export const AUDIT_AXIOM_DATASET = process.env.AUDIT_AXIOM_DATASET || '';
+
+// Snapshots of rows removed by the delete tools, kept as one JSON file per
+// deletion so db_restoreDeleted can re-insert them within the retention window
+export const DELETION_ARCHIVE_DIR = process.env.DELETION_ARCHIVE_DIR || 'data/deletions';
+export const DELETION_ARCHIVE_RETENTION_DAYS = parseInt(process.env.DELETION_ARCHIVE_RETENTION_DAYS || '30', 10);
+
+// Signing secret and lifetime of the confirmation tokens that destructive
+// tools issue from a dry run. Without a secret a random one is generated at
+// startup, so tokens do not survive restarts or work across machines.
+export const CONFIRMATION_TOKEN_SECRET = process.env.CONFIRMATION_TOKEN_SECRET || '';
+export const CONFIRMATION_TOKEN_TTL_SECONDS = parseInt(process.env.CONFIRMATION_TOKEN_TTL_SECONDS || '300', 10);
+
+// API key authentication. Keys are configured as a JSON array of
+// { "name", "hash", "scopes", "disabled", "expiresAt" } records, where hash is
+// the SHA-256 hex digest of the key (see hash-api-key.js), either inline in
+// MCP_API_KEYS or in the file named by MCP_API_KEYS_FILE.
+export const MCP_API_KEYS = process.env.MCP_API_KEYS || '';
+export const MCP_API_KEYS_FILE = process.env.MCP_API_KEYS_FILE || '';
+// Only for local development: accept unauthenticated requests
+export const MCP_AUTH_DISABLED = process.env.MCP_AUTH_DISABLED === 'true';
+
+// Comma-separated scopes granted to the local user in --stdio mode
+export const MCP_STDIO_SCOPES = process.env.MCP_STDIO_SCOPES || '*';
+
+// Comma-separated list of allowed CORS origins ('*' allows any)
+export const CORS_ORIGINS = process.env.CORS_ORIGINS || '*';
@@ -0,0 +1,90 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+import {
+  CONFIRMATION_TOKEN_SECRET,
+  CONFIRMATION_TOKEN_TTL_SECONDS
+} from './config.js';
+import { ToolInputError } from './errors.js';
+
+// Arguments that do not change what a destructive call would do
+const CONTROL_ARGS = new Set(['dryRun', 'confirmationToken']);
+
+// Deterministic JSON of the arguments a token is bound to (sorted keys,
+// control arguments dropped)
+function canonicalArgs(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalArgs).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => !CONTROL_ARGS.has(key) && value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalArgs(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Two-phase confirmation for destructive tools. A dry run issues a signed,
+// short-lived token bound to the tool, its arguments and the caller; the real
+// run must present that token with identical arguments, and each token can
+// only be used once.
+export function createConfirmationTokens({
+  secret = CONFIRMATION_TOKEN_SECRET || randomBytes(32).toString('hex'),
+  ttlSeconds = CONFIRMATION_TOKEN_TTL_SECONDS
+} = {}) {
+  // Token IDs already used, with their expiry, so replays are rejected
+  const used = new Map();
+
+  const sign = (payload) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+  const argsDigest = (toolName, args, caller) =>
+    createHmac('sha256', secret).update(`${toolName}\n${caller}\n${canonicalArgs(args)}`).digest('base64url');
+
+  const forgetExpired = () => {
+    const now = Date.now();
+    for (const [id, expiresAt] of used) {
+      if (expiresAt <= now) used.delete(id);
+    }
+  };
+
+  return {
+    issue(toolName, args, caller) {
+      const expiresAt = Date.now() + ttlSeconds * 1000;
+      const payload = Buffer.from(JSON.stringify({
+        id: randomUUID(),
+        tool: toolName,
+        digest: argsDigest(toolName, args, caller),
+        exp: expiresAt
+      })).toString('base64url');
+      return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+    },
+
+    // Throws ToolInputError unless the token was issued for exactly this call
+    consume(token, toolName, args, caller) {
+      if (!token || typeof token !== 'string') {
+        throw new ToolInputError(`${toolName} requires the confirmationToken returned by a dry run with the same arguments`);
+      }
+
+      const [payload, signature] = token.split('.');
+      const expected = payload ? sign(payload) : '';
+      if (!signature || signature.length !== expected.length ||
+          !timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new ToolInputError('Invalid confirmationToken');
+      }
+
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (claims.tool !== toolName) {
+        throw new ToolInputError(`confirmationToken was issued for ${claims.tool}, not ${toolName}`);
+      }
+      if (claims.exp <= Date.now()) {
+        throw new ToolInputError('confirmationToken has expired; run the dry run again');
+      }
+      if (claims.digest !== argsDigest(toolName, args, caller)) {
+        throw new ToolInputError('confirmationToken does not match these arguments; run the dry run again');
+      }
+
+      forgetExpired();
+      if (used.has(claims.id)) {
+        throw new ToolInputError('confirmationToken has already been used');
+      }
+      used.set(claims.id, claims.exp);
+    }
+  };
+}
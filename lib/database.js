@@ -0,0 +1,102 @@
+import pg from 'pg';
+import { DB_CONFIGS } from './config.js';
+
+// One long-lived pool per entry in DB_CONFIGS, created on first use
+const pools = new Map();
+
+function getPool(env) {
+  if (!DB_CONFIGS[env]?.connectionString) {
+    throw new Error(`Database for environment ${env} is not configured`);
+  }
+  
+  let pool = pools.get(env);
+  if (!pool) {
+    const { Pool } = pg;
+    pool = new Pool(DB_CONFIGS[env]);
+    // Idle clients can error (e.g. server restart); log instead of crashing
+    pool.on('error', (error) => {
+      console.error(`Database pool error (${env}):`, error);
+    });
+    pools.set(env, pool);
+  }
+  return pool;
+}
+
+// Database query helper
+export async function queryDatabase(query, params = [], env = 'delicious-sienna-fluke') {
+  const pool = getPool(env);
+  
+  try {
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Database query error:', error);
+    throw error;
+  }
+}
+
+// Pool usage per environment, for /health
+export function getPoolMetrics() {
+  const metrics = {};
+  for (const env of Object.keys(DB_CONFIGS)) {
+    const pool = pools.get(env);
+    metrics[env] = pool
+      ? {
+        configured: true,
+        total: pool.totalCount,
+        idle: pool.idleCount,
+        waiting: pool.waitingCount,
+        max: pool.options.max
+      }
+      : { configured: Boolean(DB_CONFIGS[env].connectionString), total: 0, idle: 0, waiting: 0, max: DB_CONFIGS[env].max };
+  }
+  return metrics;
+}
+
+// Close every pool, waiting for checked-out clients to be released
+export async function closeDatabasePools() {
+  const closing = [...pools.entries()].map(async ([env, pool]) => {
+    pools.delete(env);
+    try {
+      await pool.end();
+    } catch (error) {
+      console.error(`Error closing database pool (${env}):`, error);
+    }
+  });
+  await Promise.all(closing);
+}
+
+// Run several statements atomically on one client. `work` receives a query
+// function with the same (query, params) => rows signature as queryDatabase;
+// everything is committed when it resolves and rolled back when it throws.
+// Returns the work result plus a summary of the committed statements.
+export async function withTransaction(env, work) {
+  const client = await getPool(env).connect();
+  const statements = [];
+  const query = async (text, params = []) => {
+    const result = await client.query(text, params);
+    statements.push({ command: result.command, rowCount: result.rowCount });
+    return result.rows;
+  };
+  
+  // Set when ROLLBACK fails: the connection is in an unknown state, and
+  // releasing it with an error makes the pool discard it
+  let brokenConnection;
+  try {
+    await client.query('BEGIN');
+    const result = await work(query);
+    await client.query('COMMIT');
+    return { result, transaction: { committed: true, statements } };
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Database rollback error:', rollbackError);
+      brokenConnection = rollbackError;
+    }
+    console.error('Database transaction error:', error);
+    throw new Error(`Transaction rolled back: ${error.message}`, { cause: error });
+  } finally {
+    client.release(brokenConnection);
+  }
+}
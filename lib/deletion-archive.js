@@ -0,0 +1,158 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import {
+  DELETION_ARCHIVE_DIR,
+  DELETION_ARCHIVE_RETENTION_DAYS
+} from './config.js';
+import { ToolInputError } from './errors.js';
+
+// Tables a deletion snapshot may hold, in the order rows must be re-inserted
+// to satisfy foreign keys (process_requests references users and videos)
+export const ARCHIVED_TABLES = ['users', 'videos', 'process_requests'];
+
+const ARCHIVE_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Local archive of rows removed by the delete tools. Every deletion is stored
+// as one JSON file holding the full rows of each table, written before the
+// DELETE runs (and discarded if the DELETE rolls back), so a batch can be
+// restored until its retention window ends.
+export function createDeletionArchive({
+  directory = DELETION_ARCHIVE_DIR,
+  retentionDays = DELETION_ARCHIVE_RETENTION_DAYS
+} = {}) {
+  const retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+
+  const fileFor = (archiveId) => {
+    if (typeof archiveId !== 'string' || !ARCHIVE_ID_PATTERN.test(archiveId)) {
+      throw new ToolInputError('Invalid archiveId');
+    }
+    return path.join(directory, `${archiveId}.json`);
+  };
+
+  const readEntry = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+  const writeEntry = async (entry) => {
+    await fs.mkdir(directory, { recursive: true });
+    // Write then rename so a crash never leaves a truncated archive behind
+    const file = fileFor(entry.archiveId);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(entry), 'utf8');
+    await fs.rename(`${file}.tmp`, file);
+  };
+
+  const counts = (rows) =>
+    Object.fromEntries(ARCHIVED_TABLES.map(table => [table, rows[table]?.length || 0]));
+
+  return {
+    retentionDays,
+
+    // Store a snapshot of rows about to be deleted.
+    // `rows` maps table names from ARCHIVED_TABLES to arrays of full rows.
+    async save({ environment, tool, caller = null, rows }) {
+      const now = Date.now();
+      const entry = {
+        archiveId: randomUUID(),
+        environment,
+        tool,
+        caller,
+        deletedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + retentionMs).toISOString(),
+        restoredAt: null,
+        counts: counts(rows),
+        rows
+      };
+      await writeEntry(entry);
+      await this.prune();
+      return { archiveId: entry.archiveId, expiresAt: entry.expiresAt, counts: entry.counts };
+    },
+
+    // Load an archive for restoring; rejects unknown, expired and restored ones
+    async load(archiveId, environment) {
+      let entry;
+      try {
+        entry = await readEntry(fileFor(archiveId));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new ToolInputError(`No archived deletion with ID ${archiveId}`);
+        }
+        throw error;
+      }
+      if (entry.environment !== environment) {
+        throw new ToolInputError(`Archive ${archiveId} belongs to ${entry.environment}, not ${environment}`);
+      }
+      if (new Date(entry.expiresAt).getTime() <= Date.now()) {
+        throw new ToolInputError(`Archive ${archiveId} expired at ${entry.expiresAt}`);
+      }
+      if (entry.restoredAt) {
+        throw new ToolInputError(`Archive ${archiveId} was already restored at ${entry.restoredAt}`);
+      }
+      return entry;
+    },
+
+    // Remove the archive of a deletion that was rolled back. Errors are only
+    // logged so they never hide the error behind the rollback.
+    async discard(archiveId) {
+      try {
+        await fs.unlink(fileFor(archiveId));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Error discarding deletion archive ${archiveId}:`, error);
+        }
+      }
+    },
+
+    async markRestored(archiveId, caller = null) {
+      const entry = await readEntry(fileFor(archiveId));
+      entry.restoredAt = new Date().toISOString();
+      entry.restoredBy = caller;
+      await writeEntry(entry);
+    },
+
+    // Summaries (without rows) of the restorable archives of an environment,
+    // newest first
+    async list(environment) {
+      let files;
+      try {
+        files = await fs.readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const summaries = [];
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+          const { rows, ...summary } = await readEntry(path.join(directory, file));
+          if (summary.environment !== environment || summary.restoredAt) continue;
+          if (new Date(summary.expiresAt).getTime() <= Date.now()) continue;
+          summaries.push(summary);
+        } catch (error) {
+          console.error(`Unreadable deletion archive ${file}:`, error);
+        }
+      }
+      return summaries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    },
+
+    // Remove archives past their retention window
+    async prune() {
+      let files;
+      try {
+        files = await fs.readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+          const { expiresAt } = await readEntry(path.join(directory, file));
+          if (new Date(expiresAt).getTime() <= Date.now()) {
+            await fs.unlink(path.join(directory, file));
+          }
+        } catch (error) {
+          console.error(`Error pruning deletion archive ${file}:`, error);
+        }
+      }
+    }
+  };
+}
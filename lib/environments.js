@@ -0,0 +1,68 @@
+import {
+  AXIOM_DELICIOUS_SIENNA_FLUKE_DATASET,
+  AXIOM_PRODUCTION_DATASET,
+  DB_CONFIGS
+} from './config.js';
+
+// Environments the server exposes tools for. Each environment owns one Axiom
+// dataset and one database (keyed into DB_CONFIGS), and the prefixes used to
+// build its advertised tool names:
+//   logs tools: `${logsPrefix}_<tool>`    e.g. prod_logs_recent
+//   db tools:   `${dbPrefix}_db_<tool>`   e.g. prod_db_failedJobs
+export const ENVIRONMENTS = {
+  'delicious-sienna-fluke': {
+    dataset: AXIOM_DELICIOUS_SIENNA_FLUKE_DATASET,
+    database: 'delicious-sienna-fluke',
+    logsPrefix: 'logs',
+    dbPrefix: 'delicious-sienna-fluke',
+    listed: true
+  },
+  production: {
+    dataset: AXIOM_PRODUCTION_DATASET,
+    database: 'production',
+    logsPrefix: 'prod_logs',
+    dbPrefix: 'prod',
+    // Temporarily disabled production tools: callable, but not advertised
+    listed: false
+  }
+};
+
+export function isDatabaseConfigured(envName) {
+  const database = ENVIRONMENTS[envName]?.database;
+  return Boolean(database && DB_CONFIGS[database]?.connectionString);
+}
+
+// Advertised name for a tool in an environment
+export function toolNameFor(envName, family, tool) {
+  const env = ENVIRONMENTS[envName];
+  return family === 'db' ? `${env.dbPrefix}_db_${tool}` : `${env.logsPrefix}_${tool}`;
+}
+
+// Resolve any accepted spelling of a tool name to { env, family, tool }.
+// Besides the advertised names this accepts the environment key as prefix
+// (`production_db_videoStats`, `production_logs_recent`) and db tools without
+// the `db_` segment (`prod_deleteUserById`), which older clients still send.
+// Returns null when the name does not belong to any environment.
+export function resolveToolName(name) {
+  if (typeof name !== 'string') return null;
+
+  // Longest prefixes first so `prod_logs_` wins over `prod_`
+  const candidates = [];
+  for (const [envName, env] of Object.entries(ENVIRONMENTS)) {
+    candidates.push({ envName, family: 'logs', prefix: `${env.logsPrefix}_` });
+    candidates.push({ envName, family: 'logs', prefix: `${envName}_logs_` });
+    candidates.push({ envName, family: 'db', prefix: `${env.dbPrefix}_db_` });
+    candidates.push({ envName, family: 'db', prefix: `${envName}_db_` });
+    candidates.push({ envName, family: 'db', prefix: `${env.dbPrefix}_`, legacy: true });
+  }
+  candidates.sort((a, b) => b.prefix.length - a.prefix.length);
+
+  for (const { envName, family, prefix, legacy } of candidates) {
+    if (!name.startsWith(prefix)) continue;
+    const tool = name.slice(prefix.length);
+    // `prod_` alone must not swallow `prod_logs_*` names or stray strings
+    if (!tool || (legacy && tool.includes('_'))) continue;
+    return { env: envName, family, tool };
+  }
+  return null;
+}
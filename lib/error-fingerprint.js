@@ -0,0 +1,158 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import { ERROR_RULES, ERROR_RULES_FILE } from './config.js';
+import { FIELD_NAMES, parseLogFields } from './log-parsing.js';
+
+// Error fingerprinting for failedOperations. Messages that differ only in
+// IDs, numbers and timestamps normalize to the same pattern, and each
+// pattern is one cluster. Clusters are classified by rules: the first rule
+// whose `match` (a case-insensitive regular expression) fits a message names
+// its type. Custom rules come from ERROR_RULES / ERROR_RULES_FILE as
+//   { "rules": [{ "type": "pinecone_quota", "match": "pinecone.*quota" }],
+//     "includeDefaults": true }
+// and are tried before the defaults below unless includeDefaults is false.
+
+export const DEFAULT_ERROR_RULES = [
+  { type: 'metadata_missing', match: 'key :metadata not found' },
+  { type: 'constraint_violation', match: 'constraint error' },
+  { type: 'timeout', match: 'timeout|timed out' },
+  { type: 'rate_limit', match: 'rate limit' },
+  { type: 'insufficient_credits', match: 'credits' },
+  { type: 'connection_error', match: 'connection' }
+];
+
+// Type of messages no rule matches
+const UNCLASSIFIED = 'unknown';
+
+// Examples and entity IDs kept per cluster
+const MAX_SAMPLES = 3;
+const MAX_ENTITY_IDS = 20;
+
+// 11-character tokens that mix letters with digits, or mixed-case ones with
+// - or _; plain words and snake_case names of that length are left alone
+const isYouTubeId = (token) =>
+  (/\d/.test(token) && /[A-Za-z]/.test(token)) ||
+  (/[-_]/.test(token) && /[A-Z]/.test(token) && /[a-z]/.test(token));
+
+// Order matters: timestamps and UUIDs contain numbers
+const NORMALIZERS = [
+  // Values of ID keys, whatever they look like: request_id=F1x..., user_id: 42
+  [/\b(\w+_id|\w+Id)(\s*[=:]\s*"?)[^\s,;}\])"]+/g, '$1$2<id>'],
+  [/\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?\b/g, '<time>'],
+  [/\b\d{4}-\d{2}-\d{2}\b/g, '<date>'],
+  [/\b\d{2}:\d{2}:\d{2}(?:\.\d+)?\b/g, '<time>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/(?<![\w-])[\w-]{11}(?![\w-])/g, (token) => (isYouTubeId(token) ? '<yt_id>' : token)],
+  [/\b0x[0-9a-f]+\b|\b[0-9a-f]{16,}\b/gi, '<hex>'],
+  [/#(?:PID|Reference|Port)<[\d.]+>/g, '<pid>'],
+  [/\b\d+(?:\.\d+)?\b/g, '<n>']
+];
+
+const MAX_PATTERN_CHARS = 300;
+
+// Message with the parts that vary between occurrences of the same error
+// replaced by placeholders
+export function normalizeErrorMessage(message) {
+  let pattern = String(message ?? '');
+  for (const [regex, placeholder] of NORMALIZERS) {
+    pattern = pattern.replace(regex, placeholder);
+  }
+  return pattern.replace(/\s+/g, ' ').trim().slice(0, MAX_PATTERN_CHARS);
+}
+
+export const fingerprint = (pattern) =>
+  createHash('sha1').update(pattern).digest('hex').slice(0, 12);
+
+function compileRules(rules, where) {
+  if (!Array.isArray(rules)) {
+    throw new Error(`Invalid error rules configuration: ${where} must be an array`);
+  }
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule.type !== 'string' || !rule.type) {
+      throw new Error(`Invalid error rules configuration: rule ${index} has no type`);
+    }
+    if (typeof rule.match !== 'string' || !rule.match) {
+      throw new Error(`Invalid error rules configuration: rule ${rule.type} has no match pattern`);
+    }
+    try {
+      return { type: rule.type, match: new RegExp(rule.match, 'i') };
+    } catch (error) {
+      throw new Error(`Invalid error rules configuration: rule ${rule.type}: ${error.message}`);
+    }
+  });
+}
+
+// The configured classification rules followed by the defaults
+export function loadErrorRules() {
+  let source = ERROR_RULES;
+  if (ERROR_RULES_FILE) {
+    source = fs.readFileSync(ERROR_RULES_FILE, 'utf8');
+  }
+  if (!source.trim()) {
+    return compileRules(DEFAULT_ERROR_RULES, 'defaults');
+  }
+
+  let config;
+  try {
+    config = JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Invalid error rules configuration: ${error.message}`);
+  }
+  const custom = compileRules(config?.rules, 'rules');
+  return config.includeDefaults === false
+    ? custom
+    : [...custom, ...compileRules(DEFAULT_ERROR_RULES, 'defaults')];
+}
+
+export function classifyError(message, rules) {
+  const rule = rules.find(({ match }) => match.test(message));
+  return rule ? rule.type : UNCLASSIFIED;
+}
+
+// Group error occurrences into clusters. `occurrences` are
+// { message, count, firstSeen, lastSeen } (one per distinct message);
+// returns the clusters, largest first, with their counts, first/last seen,
+// sample messages and the entity IDs (video_id, user_id, ...) they mention.
+export function clusterErrors(occurrences, rules) {
+  const clusters = new Map();
+
+  for (const { message, count = 1, firstSeen = null, lastSeen = null } of occurrences) {
+    const pattern = normalizeErrorMessage(message);
+    const id = fingerprint(pattern);
+    let cluster = clusters.get(id);
+    if (!cluster) {
+      cluster = {
+        fingerprint: id,
+        type: classifyError(message, rules),
+        pattern,
+        count: 0,
+        firstSeen: null,
+        lastSeen: null,
+        samples: [],
+        entities: {}
+      };
+      clusters.set(id, cluster);
+    }
+
+    cluster.count += count;
+    if (firstSeen && (!cluster.firstSeen || new Date(firstSeen) < new Date(cluster.firstSeen))) {
+      cluster.firstSeen = firstSeen;
+    }
+    if (lastSeen && (!cluster.lastSeen || new Date(lastSeen) > new Date(cluster.lastSeen))) {
+      cluster.lastSeen = lastSeen;
+    }
+    if (cluster.samples.length < MAX_SAMPLES && !cluster.samples.includes(message)) {
+      cluster.samples.push(message);
+    }
+
+    const fields = parseLogFields({ message });
+    for (const name of FIELD_NAMES.filter(name => name.endsWith('_id') && fields[name])) {
+      const ids = (cluster.entities[name] ||= []);
+      if (ids.length < MAX_ENTITY_IDS && !ids.includes(fields[name])) {
+        ids.push(fields[name]);
+      }
+    }
+  }
+
+  return [...clusters.values()].sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,26 @@
+// Raised when a tool is called with missing or invalid arguments
+export class ToolInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolInputError';
+  }
+}
+
+// Raised when a tool name does not resolve to a registered tool
+export class UnknownToolError extends Error {
+  constructor(toolName) {
+    super(`Unknown tool: ${toolName}`);
+    this.name = 'UnknownToolError';
+    this.toolName = toolName;
+  }
+}
+
+// Raised when the caller lacks the scope a tool requires
+export class ToolPermissionError extends Error {
+  constructor(toolName, scope) {
+    super(`Tool ${toolName} requires scope ${scope}`);
+    this.name = 'ToolPermissionError';
+    this.toolName = toolName;
+    this.scope = scope;
+  }
+}
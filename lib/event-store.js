@@ -0,0 +1,37 @@
+import { randomUUID } from 'node:crypto';
+
+// In-memory EventStore for the Streamable HTTP transport. Every message sent
+// on a stream is kept (up to maxEvents in total) so a client reconnecting with
+// a Last-Event-ID header gets the messages it missed replayed.
+export function createInMemoryEventStore({ maxEvents = 1000 } = {}) {
+  // Insertion-ordered: eventId -> { streamId, message }
+  const events = new Map();
+
+  return {
+    async storeEvent(streamId, message) {
+      const eventId = `${streamId}_${randomUUID()}`;
+      events.set(eventId, { streamId, message });
+      while (events.size > maxEvents) {
+        events.delete(events.keys().next().value);
+      }
+      return eventId;
+    },
+
+    async replayEventsAfter(lastEventId, { send }) {
+      const last = events.get(lastEventId);
+      if (!last) return '';
+
+      let found = false;
+      for (const [eventId, { streamId, message }] of events) {
+        if (eventId === lastEventId) {
+          found = true;
+          continue;
+        }
+        if (found && streamId === last.streamId) {
+          await send(eventId, message);
+        }
+      }
+      return last.streamId;
+    }
+  };
+}
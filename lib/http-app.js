@@ -0,0 +1,120 @@
+import express from 'express';
+import cors from 'cors';
+import { CORS_ORIGINS } from './config.js';
+import { createAuthMiddleware } from './auth.js';
+import { getPoolMetrics } from './database.js';
+import { errorStatus } from './tool-registry.js';
+import { createMcpServer } from './mcp-server.js';
+import { createSseSessionManager } from './sse-sessions.js';
+import { createStreamableSessionManager } from './streamable-sessions.js';
+
+// Build the Express app serving the MCP transports and the REST tool API
+export function createHttpApp(toolRegistry) {
+  // Create Express app
+  const app = express();
+  app.use(cors({
+    origin: CORS_ORIGINS === '*' ? '*' : CORS_ORIGINS.split(',').map(origin => origin.trim()),
+    exposedHeaders: ['Mcp-Session-Id', 'WWW-Authenticate']
+  }));
+  // Every route except /health requires an API key
+  app.use(createAuthMiddleware());
+  app.use(express.json());
+
+  // Each transport session gets its own MCP server
+  const sseSessions = createSseSessionManager({
+    createServer: () => createMcpServer(toolRegistry)
+  });
+  const streamableSessions = createStreamableSessionManager({
+    createServer: () => createMcpServer(toolRegistry)
+  });
+
+  // Streamable HTTP endpoint for current MCP clients
+  app.all('/mcp', async (req, res) => {
+    if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+      res.set('Allow', 'GET, POST, DELETE').status(405).json({ error: `Method not allowed: ${req.method}` });
+      return;
+    }
+    try {
+      await streamableSessions.handleRequest(req, res);
+    } catch (error) {
+      console.error('Streamable HTTP error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message || 'Unknown error' });
+      }
+    }
+  });
+
+  // Legacy SSE endpoint for older MCP clients (Claude Desktop)
+  app.get('/sse', async (req, res) => {
+    try {
+      await sseSessions.connect(req, res);
+    } catch (error) {
+      console.error('SSE connection error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message || 'Unknown error' });
+      }
+    }
+  });
+
+  // Messages from SSE clients, routed to their session
+  app.post('/message', async (req, res) => {
+    try {
+      await sseSessions.handlePostMessage(req, res);
+    } catch (error) {
+      console.error('SSE message error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message || 'Unknown error' });
+      }
+    }
+  });
+
+  // API endpoint for MCP tools
+  app.post('/api/mcp/:toolName', async (req, res) => {
+    try {
+      const result = await toolRegistry.callTool(req.params.toolName, req.body || {}, { auth: req.auth });
+      res.json(result);
+    } catch (error) {
+      const status = errorStatus(error);
+      if (status >= 500) {
+        console.error('API error:', error);
+      }
+      res.status(status).json({ error: error.message || 'Unknown error' });
+    }
+  });
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      name: 'delicious-sienna-fluke',
+      version: '1.0.0',
+      sessions: {
+        sse: sseSessions.size,
+        streamableHttp: streamableSessions.size,
+        streamableHttpExpired: streamableSessions.expired
+      },
+      databasePools: getPoolMetrics()
+    });
+  });
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    res.json({
+      name: 'delicious-sienna-fluke MCP Server',
+      endpoints: {
+        mcp: '/mcp',
+        sse: '/sse',
+        message: '/message',
+        api: '/api/mcp/:toolName',
+        health: '/health'
+      }
+    });
+  });
+
+  // Close every open MCP session, e.g. before shutting down
+  const closeSessions = async () => {
+    await Promise.all([sseSessions.closeAll(), streamableSessions.closeAll()]);
+  };
+
+  return { app, closeSessions };
+}
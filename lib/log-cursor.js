@@ -0,0 +1,65 @@
+import { createHash } from 'node:crypto';
+import { ToolInputError } from './errors.js';
+
+// Cursors for paging through log rows ordered by _time. A cursor records the
+// millisecond timestamp of the last row returned and the IDs of every
+// returned row at that timestamp, so the next page can start at that
+// timestamp again and skip exactly the rows already seen. Rows are
+// identified by Axiom's _rowId, or by a hash of their content when a
+// response does not carry one.
+
+// Key of the function a page result carries to compute the cursor after its
+// first `count` rows, for when rows are dropped from its end (see
+// output-budget.js). Symbol keys are not serialized, so callers never see it.
+export const CURSOR_AFTER = Symbol('cursor after');
+
+export function rowId(row) {
+  if (row._rowId) return String(row._rowId);
+  return createHash('sha1').update(JSON.stringify(row)).digest('base64url').slice(0, 16);
+}
+
+export const rowTime = (row) => new Date(row.time ?? row._time).getTime();
+
+export function encodeCursor({ time, ids, order }) {
+  return Buffer.from(JSON.stringify({ t: time, ids, o: order })).toString('base64url');
+}
+
+// Returns null without a cursor; throws ToolInputError for malformed cursors
+// and for cursors issued for the opposite sort order
+export function decodeCursor(cursor, order) {
+  if (cursor === undefined || cursor === null || cursor === '') return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new ToolInputError('Invalid cursor');
+  }
+  if (!claims || !Number.isFinite(claims.t) || !Array.isArray(claims.ids)) {
+    throw new ToolInputError('Invalid cursor');
+  }
+  if (claims.o !== order) {
+    throw new ToolInputError('cursor belongs to a different query');
+  }
+  return { time: claims.t, ids: claims.ids.map(String) };
+}
+
+// Position after `rows` as { time, ids }, carrying over the IDs seen at the
+// same timestamp on earlier pages; null when there are no rows
+export function cursorState(rows, previous) {
+  const last = rows[rows.length - 1];
+  const time = last && rowTime(last);
+  if (!Number.isFinite(time)) return null;
+
+  const ids = rows.filter(row => rowTime(row) === time).map(rowId);
+  if (previous && previous.time === time) {
+    ids.unshift(...previous.ids);
+  }
+  return { time, ids };
+}
+
+// Cursor for the page after `rows`
+export function nextCursor(rows, previous, order) {
+  const state = cursorState(rows, previous);
+  return state && encodeCursor({ ...state, order });
+}
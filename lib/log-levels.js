@@ -0,0 +1,123 @@
+import { ToolInputError } from './errors.js';
+import { contains, containsAny, or, startsWith } from './apl.js';
+
+// Normalized severities, lowest first
+export const LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical'];
+
+// Spellings of each severity across Elixir Logger, JSON loggers and syslog
+const ALIASES = {
+  debug: ['debug', 'trace', 'verbose'],
+  info: ['info', 'information', 'informational'],
+  notice: ['notice'],
+  warning: ['warning', 'warn'],
+  error: ['error', 'err'],
+  critical: ['critical', 'crit', 'alert', 'emergency', 'emerg', 'fatal', 'panic']
+};
+
+const BY_ALIAS = new Map(
+  Object.entries(ALIASES).flatMap(([level, aliases]) => aliases.map(alias => [alias, level]))
+);
+
+// Syslog severity (priority % 8): 0 emerg ... 7 debug
+const SYSLOG_SEVERITIES = ['critical', 'critical', 'critical', 'error', 'warning', 'notice', 'info', 'debug'];
+
+// pino/bunyan numeric levels
+const NUMERIC_LEVELS = [[60, 'critical'], [50, 'error'], [40, 'warning'], [30, 'info'], [0, 'debug']];
+
+const ELIXIR_LEVEL = new RegExp(`\\[(${[...BY_ALIAS.keys()].join('|')})\\]`, 'i');
+// logfmt `level=error`, or a JSON `"level": "error"` inside a longer line
+const KEYED_LEVEL = /\b(?:level|severity)"?\s*[=:]\s*("?)([A-Za-z]+)\1/i;
+const SYSLOG_PRIORITY = /^<(\d{1,3})>/;
+
+export const levelRank = (level) => LEVELS.indexOf(level);
+
+export function validateLevel(level, name = 'minLevel') {
+  if (!LEVELS.includes(level)) {
+    throw new ToolInputError(`${name} must be one of: ${LEVELS.join(', ')}`);
+  }
+  return level;
+}
+
+// Normalize one level value: a name in any casing, a syslog severity (0-7)
+// or a pino-style number (10-60)
+function normalizeLevelValue(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value ?? ''))) {
+    const number = Number(value);
+    if (number <= 7) return SYSLOG_SEVERITIES[number];
+    return NUMERIC_LEVELS.find(([threshold]) => number >= threshold)[1];
+  }
+  if (typeof value !== 'string') return null;
+  return BY_ALIAS.get(value.trim().toLowerCase()) || null;
+}
+
+function levelFromMessage(message) {
+  if (typeof message !== 'string' || !message) return null;
+
+  // JSON log lines: {"level":"error",...}
+  if (message.trimStart().startsWith('{')) {
+    try {
+      const parsed = JSON.parse(message);
+      const level = normalizeLevelValue(parsed.level ?? parsed.severity ?? parsed.lvl);
+      if (level) return level;
+    } catch {
+      // Not JSON after all; try the text formats
+    }
+  }
+
+  const syslog = message.match(SYSLOG_PRIORITY);
+  if (syslog) return SYSLOG_SEVERITIES[Number(syslog[1]) % 8];
+
+  // Elixir/Phoenix console format: "12:00:00.123 request_id=... [error] ..."
+  const head = message.slice(0, 200);
+  const elixir = head.match(ELIXIR_LEVEL);
+  if (elixir) return normalizeLevelValue(elixir[1]);
+
+  const keyed = head.match(KEYED_LEVEL);
+  if (keyed) return normalizeLevelValue(keyed[2]);
+
+  return null;
+}
+
+// Severity of a log entry: explicit level fields first (level, severity,
+// Logger metadata), then the formats recognizable in the message text.
+// Returns null when the entry carries no recognizable level.
+export function inferLevel(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const candidates = [
+    entry.level,
+    entry.severity,
+    entry['log.level'],
+    entry.metadata?.level,
+    entry['metadata.level'],
+    entry.syslog?.severity
+  ];
+  for (const candidate of candidates) {
+    const level = normalizeLevelValue(candidate);
+    if (level) return level;
+  }
+  return levelFromMessage(entry.message ?? entry.log);
+}
+
+export const isAtLeast = (level, minLevel) =>
+  level !== null && levelRank(level) >= levelRank(minLevel);
+
+// APL condition matching the entries that may be at one of `levels`, from
+// the message formats and the level field. Syslog lines are matched by their
+// leading <priority> whatever its value unless `syslog` is false, so callers
+// filter the returned rows with inferLevel for the exact result.
+export function levelCondition(levels, { syslog = true } = {}) {
+  const aliases = levels.flatMap(level => ALIASES[level]);
+  return or(
+    containsAny('message', aliases.map(alias => `[${alias}]`)),
+    containsAny('message', aliases.flatMap(alias => [`"level":"${alias}"`, `"level": "${alias}"`, `level=${alias}`])),
+    ...aliases.map(alias => contains('level', alias)),
+    syslog && startsWith('message', '<')
+  );
+}
+
+// levelCondition for every level at or above minLevel; null for debug,
+// which matches everything
+export function minLevelCondition(minLevel) {
+  const levels = LEVELS.slice(levelRank(minLevel));
+  return levels.length === LEVELS.length ? null : levelCondition(levels);
+}
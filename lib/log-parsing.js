@@ -0,0 +1,120 @@
+import { and, contains, containsAny, or, textEquals } from './apl.js';
+
+// Metadata the services write into their log messages, under the spellings
+// seen across the Elixir workers (`video_id: 123`, `[video_id: 123]`,
+// `%{"video_id" => 123}`), logfmt (`video_id=123`) and JSON loggers
+const FIELD_ALIASES = {
+  video_id: ['video_id', 'videoId'],
+  yt_id: ['yt_id', 'ytId', 'youtube_id'],
+  user_id: ['user_id', 'userId'],
+  batch_id: ['batch_id', 'batchId'],
+  process_request_id: ['process_request_id', 'processRequestId'],
+  worker: ['worker', 'worker_type', 'workerType'],
+  operation: ['operation', 'action'],
+  duration: ['duration', 'duration_ms', 'elapsed', 'elapsed_ms']
+};
+
+export const FIELD_NAMES = Object.keys(FIELD_ALIASES);
+
+// A quoted string or a bare token up to the next separator
+const VALUE = `(?:"((?:[^"\\\\]|\\\\.)*)"|'([^']*)'|([^\\s,;}\\])]+))`;
+
+const FIELD_PATTERNS = Object.fromEntries(Object.entries(FIELD_ALIASES).map(([name, aliases]) => [
+  name,
+  new RegExp(`(?<![\\w.-])["']?(?:${aliases.join('|')})["']?\\s*(?:=>|[:=])\\s*${VALUE}`)
+]));
+
+// Phoenix and friends: "Sent 200 in 12ms", "took 1.5s"
+const DURATION_PHRASE = /\b(?:in|took)\s+(\d+(?:\.\d+)?\s*(?:µs|us|ms|s))\b/;
+const DURATION = /^(\d+(?:\.\d+)?)\s*(µs|us|ms|s|secs?|seconds?|m|mins?|minutes?)?$/;
+const DURATION_UNIT_MS = { µs: 0.001, us: 0.001, ms: 1, s: 1000, m: 60 * 1000 };
+
+// Milliseconds for a duration such as "12ms", "1.5s" or 250 (bare numbers are
+// milliseconds); null when it is not a duration
+export function durationMs(value) {
+  const match = String(value).trim().match(DURATION);
+  if (!match) return null;
+  const unit = match[2] || 'ms';
+  // "sec"/"seconds" count as s and "min"/"minutes" as m
+  return Number(match[1]) * (DURATION_UNIT_MS[unit] ?? DURATION_UNIT_MS[unit[0]]);
+}
+
+const present = (value) => value !== undefined && value !== null && value !== '';
+
+// Value of a field from structured columns: metadata.video_id (nested or
+// flattened) or a top-level video_id column
+function fromColumns(entry, aliases) {
+  for (const alias of aliases) {
+    const value = entry.metadata?.[alias] ?? entry[`metadata.${alias}`] ?? entry[alias];
+    if (present(value) && typeof value !== 'object') return value;
+  }
+  return undefined;
+}
+
+function parseJsonMessage(message) {
+  if (!message.trimStart().startsWith('{')) return null;
+  try {
+    const parsed = JSON.parse(message);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function fromText(message, name) {
+  const match = message.match(FIELD_PATTERNS[name]);
+  if (!match) return undefined;
+  const value = match[1] ?? match[2] ?? match[3].replace(/[.:]+$/, '');
+  return present(value) ? value : undefined;
+}
+
+// Metadata of a log entry as { video_id, yt_id, ... } with only the fields
+// found. Structured columns win over JSON messages, which win over the text
+// formats. IDs are returned as strings; `duration` keeps the logged text and
+// `duration_ms` is added when the value could be read.
+export function parseLogFields(entry) {
+  const fields = {};
+  if (!entry || typeof entry !== 'object') return fields;
+
+  const message = typeof (entry.message ?? entry.log) === 'string' ? (entry.message ?? entry.log) : '';
+  const json = message && parseJsonMessage(message);
+
+  for (const [name, aliases] of Object.entries(FIELD_ALIASES)) {
+    let value = fromColumns(entry, aliases);
+    if (!present(value) && json) {
+      value = fromColumns(json, aliases);
+    }
+    if (!present(value) && message) {
+      value = fromText(message, name);
+    }
+    if (present(value)) {
+      fields[name] = String(value);
+    }
+  }
+
+  if (!fields.duration && message) {
+    const phrase = message.match(DURATION_PHRASE);
+    if (phrase) fields.duration = phrase[1];
+  }
+  if (fields.duration) {
+    const ms = durationMs(fields.duration);
+    if (ms !== null) fields.duration_ms = ms;
+  }
+  return fields;
+}
+
+// Whether a normalized entry's parsed metadata has `name` equal to `value`
+export const matchesField = (entry, name, value) =>
+  (entry.fields || parseLogFields(entry))[name] === String(value);
+
+// APL condition for the entries that may have `name` equal to `value`: the
+// value and one of the key's spellings in the message, or any structured
+// column fromColumns reads (metadata.<alias> or a top-level <alias>). A
+// superset; callers filter the rows with matchesField.
+export function fieldCondition(name, value) {
+  const aliases = FIELD_ALIASES[name];
+  return or(
+    and(contains('message', String(value)), containsAny('message', aliases)),
+    ...aliases.flatMap(alias => [textEquals(`metadata.${alias}`, value), textEquals(alias, value)])
+  );
+}
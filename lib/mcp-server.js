@@ -0,0 +1,49 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { budgetToolResult } from './output-budget.js';
+
+// Create an MCP server whose tool handlers dispatch through the registry.
+// Each transport connection gets its own Server instance. `auth` identifies
+// the caller when the transport does not carry authInfo (stdio).
+export function createMcpServer(toolRegistry, { auth } = {}) {
+  const mcpServer = new Server(
+    {
+      name: 'delicious-sienna-fluke',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+      },
+    }
+  );
+
+  // Handle list tools request
+  // Only advertise the tools the caller may use
+  mcpServer.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
+    return { tools: toolRegistry.listTools(extra.authInfo || auth) };
+  });
+
+  // Handle tool calls
+  // extra.authInfo is the req.auth set by the HTTP auth middleware
+  mcpServer.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    try {
+      const result = await toolRegistry.callTool(request.params.name, request.params.arguments || {}, {
+        auth: extra.authInfo || auth
+      });
+      // Results go into the model's context, so keep them within budget
+      return { content: [{ type: 'text', text: JSON.stringify(budgetToolResult(result), null, 2) }] };
+    } catch (error) {
+      console.error('Tool execution error:', error);
+      return { 
+        content: [{ 
+          type: 'text', 
+          text: JSON.stringify({ error: error.message || 'Unknown error' }, null, 2) 
+        }],
+        isError: true
+      };
+    }
+  });
+
+  return mcpServer;
+}
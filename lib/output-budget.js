@@ -0,0 +1,166 @@
+import {
+  TOOL_OUTPUT_MAX_CHARS,
+  TOOL_OUTPUT_MAX_MESSAGE_CHARS
+} from './config.js';
+import { CURSOR_AFTER } from './log-cursor.js';
+
+// Shrinks tool results so the text sent to an MCP client stays within a
+// character budget. In order, until the result fits:
+//   1. always drop fields of log rows that repeat another field (queryAxiom
+//      spreads the raw event over its normalized fields)
+//   2. trim long `message` strings
+//   3. trim every other long string inside rows (arrays)
+//   4. drop rows from the end of the largest arrays
+// A `truncation` summary with the counts is added whenever 2-4 ran.
+
+const serializedLength = (value) => JSON.stringify(value, null, 2).length;
+
+// Objects built from literals or JSON; Dates and other class instances
+// are left as they are
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+// Log rows normalized by queryAxiom carry time/_time and message/log twice,
+// level/source as null and fields as {} when the event has none
+function compactRow(row) {
+  if (!('time' in row) || !('message' in row)) return row;
+  const compact = { ...row };
+  if (compact._time === compact.time) delete compact._time;
+  if (compact.log === compact.message) delete compact.log;
+  if (compact.level === null) delete compact.level;
+  if (compact.source === null) delete compact.source;
+  if (isPlainObject(compact.fields) && Object.keys(compact.fields).length === 0) delete compact.fields;
+  return compact;
+}
+
+function compact(value) {
+  if (Array.isArray(value)) return value.map(compact);
+  if (!isPlainObject(value)) return value;
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = compact(item);
+  }
+  if (value[CURSOR_AFTER]) {
+    copy[CURSOR_AFTER] = value[CURSOR_AFTER];
+  }
+  return compactRow(copy);
+}
+
+const TRIMMED = /… \[\d+ more characters\]$/;
+
+const trimString = (text, maxChars) =>
+  `${text.slice(0, maxChars)}… [${text.length - maxChars} more characters]`;
+
+// Values callers pass back to a later call; a trimmed one would be useless
+const UNTRIMMED_KEYS = new Set(['nextCursor', 'cursor', 'confirmationToken', 'archiveId']);
+
+// Trim strings longer than maxChars in place, only under `message` keys
+// unless `anyKey` is set, and then only inside rows; returns the number of
+// strings trimmed
+function trimStrings(value, maxChars, anyKey = false) {
+  let trimmed = 0;
+  const visit = (container, inRow) => {
+    for (const key of Object.keys(container)) {
+      const item = container[key];
+      if (typeof item === 'string') {
+        const trimmable = key === 'message' || (anyKey && inRow);
+        if (item.length > maxChars && trimmable && !UNTRIMMED_KEYS.has(key) && !TRIMMED.test(item)) {
+          container[key] = trimString(item, maxChars);
+          trimmed++;
+        }
+      } else if (Array.isArray(item) || isPlainObject(item)) {
+        visit(item, inRow || Array.isArray(item));
+      }
+    }
+  };
+  visit(value, Array.isArray(value));
+  return trimmed;
+}
+
+// Arrays reachable from root as { parent, key } pairs
+function findArrays(root) {
+  const arrays = [];
+  const visit = (parent, key) => {
+    const value = parent[key];
+    if (Array.isArray(value)) {
+      arrays.push({ parent, key });
+      value.forEach((_, index) => visit(value, index));
+    } else if (isPlainObject(value)) {
+      Object.keys(value).forEach(child => visit(value, child));
+    }
+  };
+  visit({ root }, 'root');
+  return arrays.filter(({ parent, key }) => parent[key].length > 0);
+}
+
+// Drop rows from the end of the largest arrays until the result fits.
+// A page of logs keeps at least one row, and its nextCursor is moved to right
+// after the last row kept.
+function dropRows(holder, maxChars) {
+  let dropped = 0;
+  const arrays = findArrays(holder.value)
+    .sort((a, b) => serializedLength(b.parent[b.key]) - serializedLength(a.parent[a.key]));
+
+  for (const { parent, key } of arrays) {
+    if (serializedLength(holder.value) <= maxChars) break;
+    const rows = parent[key];
+    const page = key === 'logs' && parent[CURSOR_AFTER] ? parent : null;
+    const keep = (count) => {
+      parent[key] = rows.slice(0, count);
+    };
+
+    // Largest count that still fits
+    let low = page ? 1 : 0;
+    let high = rows.length;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      keep(mid);
+      if (serializedLength(holder.value) <= maxChars) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    keep(low);
+    if (page && low < rows.length) {
+      page.nextCursor = page[CURSOR_AFTER](low);
+    }
+    dropped += rows.length - low;
+  }
+  return dropped;
+}
+
+export function budgetToolResult(result, {
+  maxChars = TOOL_OUTPUT_MAX_CHARS,
+  maxMessageChars = TOOL_OUTPUT_MAX_MESSAGE_CHARS
+} = {}) {
+  const value = compact(result);
+  if (!Array.isArray(value) && !isPlainObject(value)) {
+    return value;
+  }
+  const originalChars = serializedLength(value);
+  if (originalChars <= maxChars) {
+    return value;
+  }
+
+  // Arrays are wrapped so the summary has somewhere to go
+  const holder = { value: Array.isArray(value) ? { rows: value } : value };
+  const truncation = { budgetChars: maxChars, originalChars };
+  // Reserve room for the summary itself
+  const budget = maxChars - 400;
+
+  truncation.messagesTrimmed = trimStrings(holder.value, maxMessageChars);
+  if (serializedLength(holder.value) > budget) {
+    truncation.stringsTrimmed = trimStrings(holder.value, maxMessageChars, true);
+  }
+  if (serializedLength(holder.value) > budget) {
+    truncation.rowsDropped = dropRows(holder, budget);
+  }
+  truncation.returnedChars = serializedLength(holder.value);
+  truncation.note = 'Result exceeded the output budget; use a smaller limit, narrower filters or the cursor to see the rest';
+
+  return isPlainObject(holder.value) ? { ...holder.value, truncation } : holder.value;
+}
@@ -0,0 +1,112 @@
+// Side-by-side diff of two results of the same tool, e.g. the same stats
+// query run against two environments. Objects are compared key by key and
+// arrays row by row. Every leaf becomes
+//   numbers:      { baseline, candidate, delta, deltaPercent }
+//   other values: { baseline, candidate, same }
+// Postgres returns COUNT and NUMERIC columns as strings; numeric strings are
+// compared as numbers.
+
+const NUMERIC = /^-?\d+(?:\.\d+)?$/;
+
+const toNumber = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string' && NUMERIC.test(value)) return Number(value);
+  return null;
+};
+
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const labelOf = (value) => (value instanceof Date ? value.toISOString() : String(value));
+
+function diffLeaf(baseline, candidate) {
+  const a = toNumber(baseline);
+  const b = toNumber(candidate);
+  if (a !== null && b !== null) {
+    return {
+      baseline: a,
+      candidate: b,
+      delta: round(b - a),
+      deltaPercent: a === 0 ? (b === 0 ? 0 : null) : round(((b - a) / Math.abs(a)) * 100)
+    };
+  }
+  const same = JSON.stringify(baseline) === JSON.stringify(candidate);
+  return { baseline: baseline ?? null, candidate: candidate ?? null, same };
+}
+
+// Rows of both arrays are matched by their first field when it holds a
+// distinct label in every row (a date, status, fingerprint, ...), otherwise
+// by position
+function rowKey(baseline, candidate) {
+  const rows = [...baseline, ...candidate];
+  if (rows.length === 0 || !rows.every(isObject)) return null;
+  const [key] = Object.keys(rows[0]);
+  if (!key) return null;
+  const labels = (list) => list.map(row => row[key]);
+  const isLabel = (value) => (typeof value === 'string' && !NUMERIC.test(value)) || value instanceof Date;
+  const distinct = (list) => new Set(labels(list).map(labelOf)).size === list.length;
+  return rows.every(row => isLabel(row[key])) && distinct(baseline) && distinct(candidate) ? key : null;
+}
+
+function diffArrays(baseline, candidate, path, changes) {
+  const key = rowKey(baseline, candidate);
+  if (!key) {
+    const length = Math.max(baseline.length, candidate.length);
+    return Array.from({ length }, (_, index) =>
+      diffValues(baseline[index], candidate[index], `${path}[${index}]`, changes));
+  }
+
+  // The label itself is not diffed
+  const byLabel = (list) => new Map(list.map(({ [key]: label, ...row }) => [labelOf(label), row]));
+  const left = byLabel(baseline);
+  const right = byLabel(candidate);
+  const labels = [...new Set([...left.keys(), ...right.keys()])];
+  return labels.map(label => ({
+    [key]: label,
+    ...diffValues(left.get(label) || {}, right.get(label) || {}, `${path}[${label}]`, changes)
+  }));
+}
+
+function diffValues(baseline, candidate, path, changes) {
+  if (Array.isArray(baseline) || Array.isArray(candidate)) {
+    return diffArrays(baseline || [], candidate || [], path, changes);
+  }
+  if (isObject(baseline) || isObject(candidate)) {
+    const result = {};
+    const keys = new Set([...Object.keys(baseline || {}), ...Object.keys(candidate || {})]);
+    for (const key of keys) {
+      result[key] = diffValues(baseline?.[key], candidate?.[key], path ? `${path}.${key}` : key, changes);
+    }
+    return result;
+  }
+
+  const leaf = diffLeaf(baseline, candidate);
+  changes.push({ path, ...leaf });
+  return leaf;
+}
+
+// Returns { diff, summary }: the diff tree, and how many values were compared
+// and changed, with the largest relative changes first
+export function diffResults(baseline, candidate, { topChanges = 10 } = {}) {
+  const changes = [];
+  const diff = diffValues(baseline, candidate, '', changes);
+
+  const changed = changes.filter(change => (change.delta !== undefined ? change.delta !== 0 : !change.same));
+  // Changes from zero have no percentage and sort first
+  const magnitude = (change) => (change.deltaPercent === null ? Infinity : Math.abs(change.deltaPercent));
+  const largestChanges = changed
+    .filter(change => change.delta !== undefined)
+    .sort((a, b) => magnitude(b) - magnitude(a))
+    .slice(0, topChanges);
+
+  return {
+    diff,
+    summary: {
+      valuesCompared: changes.length,
+      valuesChanged: changed.length,
+      largestChanges
+    }
+  };
+}
@@ -0,0 +1,36 @@
+// Scopes an API key can carry. Each tool declares the one scope it requires.
+export const SCOPES = {
+  LOGS_READ: 'logs:read',
+  // Trimming or clearing Axiom datasets
+  LOGS_ADMIN: 'logs:admin',
+  DB_READ: 'db:read',
+  // Retrying jobs and changing processing status
+  DB_WRITE: 'db:write',
+  // Deleting users, videos and process requests
+  DB_ADMIN: 'db:admin',
+  // Reading the audit trail of mutating calls
+  AUDIT_READ: 'audit:read'
+};
+
+// Elevated scopes include the weaker scopes of the same family
+const IMPLIED_SCOPES = {
+  [SCOPES.LOGS_ADMIN]: [SCOPES.LOGS_READ],
+  [SCOPES.DB_WRITE]: [SCOPES.DB_READ],
+  [SCOPES.DB_ADMIN]: [SCOPES.DB_WRITE, SCOPES.DB_READ]
+};
+
+// Whether the granted scopes (from AuthInfo.scopes) cover the required scope.
+// '*' grants everything.
+export function hasScope(granted = [], required) {
+  if (!required) return true;
+  return granted.some(scope =>
+    scope === '*' || scope === required || (IMPLIED_SCOPES[scope] || []).includes(required)
+  );
+}
+
+// Tools requiring these scopes change data and are recorded in the audit log
+const MUTATING_SCOPES = new Set([SCOPES.LOGS_ADMIN, SCOPES.DB_WRITE, SCOPES.DB_ADMIN]);
+
+export function isMutatingScope(scope) {
+  return MUTATING_SCOPES.has(scope);
+}
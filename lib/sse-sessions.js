@@ -0,0 +1,63 @@
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+// Tracks legacy SSE transport sessions. GET /sse opens a session with a fresh
+// MCP server; the client then POSTs JSON-RPC messages to
+// /message?sessionId=<id>, which are routed to that session's transport.
+export function createSseSessionManager({ createServer, messagePath = '/message' }) {
+  const sessions = new Map();
+
+  async function remove(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    console.log(`SSE session closed: ${sessionId}`);
+    try {
+      await session.server.close();
+    } catch (error) {
+      console.error(`Error closing SSE session ${sessionId}:`, error);
+    }
+  }
+
+  return {
+    get size() {
+      return sessions.size;
+    },
+
+    // Handle GET /sse
+    async connect(req, res) {
+      const transport = new SSEServerTransport(messagePath, res);
+      const server = createServer();
+      const { sessionId } = transport;
+
+      sessions.set(sessionId, { transport, server, createdAt: new Date().toISOString() });
+      // Server.connect() takes over transport.onclose, so listen on the server
+      server.onclose = () => remove(sessionId);
+      res.on('close', () => remove(sessionId));
+
+      await server.connect(transport);
+      console.log(`Client connected via SSE: ${sessionId}`);
+    },
+
+    // Handle POST /message?sessionId=<id>
+    async handlePostMessage(req, res) {
+      const { sessionId } = req.query;
+      if (!sessionId) {
+        res.status(400).json({ error: 'Missing required query parameter: sessionId' });
+        return;
+      }
+
+      const session = sessions.get(sessionId);
+      if (!session) {
+        res.status(404).json({ error: `Unknown session: ${sessionId}` });
+        return;
+      }
+
+      // express.json() has already consumed the stream, so hand over the parsed body
+      await session.transport.handlePostMessage(req, res, req.body);
+    },
+
+    async closeAll() {
+      await Promise.all([...sessions.keys()].map(remove));
+    }
+  };
+}
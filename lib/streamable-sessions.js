@@ -0,0 +1,137 @@
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { MCP_SESSION_IDLE_TIMEOUT_SECONDS } from './config.js';
+import { createInMemoryEventStore } from './event-store.js';
+
+// How often idle sessions are looked for, at most
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// JSON-RPC error response for requests rejected before reaching a transport
+function sendJsonRpcError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null
+  });
+}
+
+// Tracks Streamable HTTP transport sessions on a single endpoint (/mcp).
+// A POST carrying an initialize request opens a session with a fresh MCP
+// server; later requests identify it with the Mcp-Session-Id header. GET opens
+// the server-to-client SSE stream (resumable via Last-Event-ID) and DELETE
+// ends the session. Each session keeps its own event store, so its events go
+// away with it. Sessions idle for `idleTimeoutSeconds` (no request in flight,
+// no open stream) are closed, since clients may disconnect without DELETE.
+export function createStreamableSessionManager({
+  createServer,
+  createEventStore = createInMemoryEventStore,
+  idleTimeoutSeconds = MCP_SESSION_IDLE_TIMEOUT_SECONDS
+}) {
+  const sessions = new Map();
+  const idleTimeoutMs = idleTimeoutSeconds * 1000;
+  let expired = 0;
+
+  async function remove(sessionId, reason = 'closed') {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    console.log(`Streamable HTTP session ${reason}: ${sessionId}`);
+    try {
+      await session.server.close();
+    } catch (error) {
+      console.error(`Error closing Streamable HTTP session ${sessionId}:`, error);
+    }
+  }
+
+  // Close the sessions idle for longer than the timeout
+  async function sweep(now = Date.now()) {
+    const idle = [...sessions]
+      .filter(([, session]) => session.openRequests === 0 && now - session.lastActivity > idleTimeoutMs)
+      .map(([sessionId]) => sessionId);
+    expired += idle.length;
+    await Promise.all(idle.map(sessionId => remove(sessionId, 'expired')));
+  }
+
+  const sweeper = setInterval(() => {
+    sweep().catch(error => console.error('Error expiring Streamable HTTP sessions:', error));
+  }, Math.min(idleTimeoutMs, SWEEP_INTERVAL_MS));
+  // The sweep alone never keeps the process running
+  sweeper.unref();
+
+  // Count the request as activity while it runs, including long-lived streams
+  function track(session, res) {
+    session.openRequests++;
+    session.lastActivity = Date.now();
+    res.on('close', () => {
+      session.openRequests--;
+      session.lastActivity = Date.now();
+    });
+  }
+
+  async function open(req, res) {
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      eventStore: createEventStore(),
+      onsessioninitialized: (sessionId) => {
+        sessions.set(sessionId, {
+          transport,
+          server,
+          createdAt: new Date().toISOString(),
+          lastActivity: Date.now(),
+          openRequests: 0
+        });
+        console.log(`Client connected via Streamable HTTP: ${sessionId}`);
+      }
+    });
+    // Server.connect() takes over transport.onclose, so listen on the server
+    server.onclose = () => {
+      if (transport.sessionId) remove(transport.sessionId);
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  }
+
+  return {
+    get size() {
+      return sessions.size;
+    },
+
+    // Sessions closed for being idle since startup
+    get expired() {
+      return expired;
+    },
+
+    sweep,
+
+    // Handle POST, GET and DELETE on the MCP endpoint
+    async handleRequest(req, res) {
+      const sessionId = req.headers['mcp-session-id'];
+
+      if (!sessionId) {
+        if (req.method === 'POST' && isInitializeRequest(req.body)) {
+          await open(req, res);
+        } else {
+          sendJsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+        }
+        return;
+      }
+
+      const session = sessions.get(sessionId);
+      if (!session) {
+        sendJsonRpcError(res, 404, `Session not found: ${sessionId}`);
+        return;
+      }
+
+      track(session, res);
+      await session.transport.handleRequest(req, res, req.body);
+    },
+
+    async closeAll() {
+      clearInterval(sweeper);
+      await Promise.all([...sessions.keys()].map(sessionId => remove(sessionId)));
+    }
+  };
+}
@@ -0,0 +1,87 @@
+import { LOGS_MAX_SPAN_HOURS } from './config.js';
+import { ToolInputError } from './errors.js';
+
+// Time windows for the log tools. `from` and `to` accept:
+//   ISO timestamps or dates     2025-06-30, 2025-06-30T12:00:00Z
+//   relative to now             7d, 36h, 90m, 2w, "3 days", "last 24h", "2h ago"
+//   since <time>                "since 2025-06-30", "since 7d"
+//   now, today, yesterday       (today/yesterday start at 00:00 UTC)
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: HOUR_MS,
+  d: 24 * HOUR_MS,
+  w: 7 * 24 * HOUR_MS
+};
+
+const RELATIVE = /^(?:last\s+)?(\d+)\s*(s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)(?:\s+ago)?$/;
+
+const startOfUtcDay = (ms) => {
+  const date = new Date(ms);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+// Milliseconds since the epoch for one time expression; `name` is the
+// argument it came from, for error messages
+export function parseTimeExpression(value, { name = 'time', now = Date.now() } = {}) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ToolInputError(`Invalid ${name}: expected a time expression`);
+  }
+  const expression = value.trim().toLowerCase();
+
+  if (expression === 'now') return now;
+  if (expression === 'today') return startOfUtcDay(now);
+  if (expression === 'yesterday') return startOfUtcDay(now) - UNIT_MS.d;
+
+  const since = expression.match(/^since\s+(.+)$/);
+  if (since) {
+    return parseTimeExpression(since[1], { name, now });
+  }
+
+  const relative = expression.match(RELATIVE);
+  if (relative) {
+    // `m` is minutes; months are deliberately not supported
+    const unit = relative[2].startsWith('mi') ? 'm' : relative[2][0];
+    return now - parseInt(relative[1], 10) * UNIT_MS[unit];
+  }
+
+  const time = new Date(value.trim()).getTime();
+  if (isNaN(time)) {
+    throw new ToolInputError(`Invalid ${name}: "${value}" (use an ISO timestamp, "7d", "36h" or "since 2025-06-30")`);
+  }
+  return time;
+}
+
+// Resolve `from`/`to` to the window a query runs over. Without `from` the
+// window is the `defaultHours` before `to`; without `to` it ends now. Returns
+// the window as reported back to callers: { from, to, hours }.
+export function resolveTimeRange({
+  from,
+  to,
+  defaultHours = 24,
+  maxSpanHours = LOGS_MAX_SPAN_HOURS,
+  now = Date.now()
+} = {}) {
+  const end = to ? parseTimeExpression(to, { name: 'to', now }) : now;
+  const start = from ? parseTimeExpression(from, { name: 'from', now }) : end - defaultHours * HOUR_MS;
+
+  if (!Number.isFinite(start) || !Number.isFinite(end)) {
+    throw new ToolInputError('Invalid time range');
+  }
+  if (start >= end) {
+    throw new ToolInputError('from must be before to');
+  }
+  const hours = (end - start) / HOUR_MS;
+  if (hours > maxSpanHours) {
+    throw new ToolInputError(`Time range may span at most ${maxSpanHours} hours (requested ${Math.ceil(hours)})`);
+  }
+
+  return {
+    from: new Date(start).toISOString(),
+    to: new Date(end).toISOString(),
+    hours: Math.round(hours * 100) / 100
+  };
+}
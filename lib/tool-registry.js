@@ -0,0 +1,128 @@
+import { ToolInputError, ToolPermissionError, UnknownToolError } from './errors.js';
+import { collectAffectedIds } from './audit.js';
+import { hasScope, isMutatingScope } from './scopes.js';
+
+// Single source of truth for every tool exposed by the server.
+// Both the MCP CallTool handler and the REST /api/mcp/:toolName route
+// dispatch through a registry, so a tool is only ever implemented once.
+// `resolveName` maps alternative spellings of a tool name to the registered one.
+// `auditLog` (see audit.js) records every call of a tool with a mutating scope.
+// `confirmations` (see confirmation.js) guards tools marked requiresConfirmation:
+// their dry runs return a confirmationToken that the real run must present.
+export function createToolRegistry({ resolveName = name => name, auditLog = null, confirmations = null } = {}) {
+  const tools = new Map();
+
+  const lookup = (name) => tools.get(name) || tools.get(resolveName(name));
+
+  const hasDryRun = (tool) => Boolean(tool.definition.inputSchema?.properties?.dryRun);
+
+  // null for tools without a dryRun argument; dryRun defaults to true. Only
+  // an explicit false executes, and callTool rejects non-boolean values
+  const dryRunFlag = (tool, args) =>
+    hasDryRun(tool) ? args.dryRun !== false : null;
+
+  const audit = async (tool, args, context, startedAt, outcome) => {
+    if (!auditLog || !isMutatingScope(tool.scope)) return;
+    await auditLog.record({
+      caller: context.auth?.clientId || null,
+      tool: tool.definition.name,
+      environment: tool.environment,
+      args,
+      dryRun: dryRunFlag(tool, args),
+      durationMs: Date.now() - startedAt,
+      ...outcome
+    });
+  };
+
+  return {
+    // Register tool definitions produced by createToolsForDataset/createDatabaseTools.
+    // Unlisted tools stay callable but are not advertised to MCP clients.
+    register(definitions, { listed = true, environment = null } = {}) {
+      for (const { handler, scope, requiresConfirmation = false, ...definition } of definitions) {
+        if (typeof handler !== 'function') {
+          throw new Error(`Tool ${definition.name} has no handler`);
+        }
+        if (!scope) {
+          throw new Error(`Tool ${definition.name} declares no scope`);
+        }
+        if (tools.has(definition.name)) {
+          throw new Error(`Tool ${definition.name} is already registered`);
+        }
+        tools.set(definition.name, { definition, handler, scope, requiresConfirmation, listed, environment });
+      }
+      return this;
+    },
+
+    has(name) {
+      return Boolean(lookup(name));
+    },
+
+    // Tool definitions in the shape expected by ListToolsRequestSchema,
+    // limited to the tools the caller's scopes allow
+    listTools(auth) {
+      return [...tools.values()]
+        .filter(tool => tool.listed && hasScope(auth?.scopes, tool.scope))
+        .map(tool => tool.definition);
+    },
+
+    // `context.auth` identifies the caller (AuthInfo from the HTTP auth layer)
+    async callTool(name, args = {}, context = {}) {
+      const tool = lookup(name);
+      if (!tool) {
+        throw new UnknownToolError(name);
+      }
+      const startedAt = Date.now();
+      if (!hasScope(context.auth?.scopes, tool.scope)) {
+        const error = new ToolPermissionError(tool.definition.name, tool.scope);
+        await audit(tool, args || {}, context, startedAt, { outcome: 'denied', error: error.message });
+        throw error;
+      }
+      if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+        throw new ToolInputError('Tool arguments must be an object');
+      }
+      if (hasDryRun(tool)) {
+        if (args.dryRun !== undefined && typeof args.dryRun !== 'boolean') {
+          throw new ToolInputError('dryRun must be true or false');
+        }
+        // Handlers, confirmation and audit all see the same boolean
+        args = { ...args, dryRun: dryRunFlag(tool, args) };
+      }
+
+      const confirm = confirmations && tool.requiresConfirmation;
+      const execute = args.dryRun === false;
+      const caller = context.auth?.clientId || '';
+      let result;
+      try {
+        if (confirm && execute) {
+          confirmations.consume(args.confirmationToken, tool.definition.name, args, caller);
+        }
+        result = await tool.handler(args, context);
+        if (confirm && !execute) {
+          const { token, expiresAt } = confirmations.issue(tool.definition.name, args, caller);
+          result = {
+            ...result,
+            confirmationToken: token,
+            confirmationExpiresAt: expiresAt,
+            nextStep: 'To execute, call again with the same arguments plus dryRun: false and this confirmationToken'
+          };
+        }
+      } catch (error) {
+        await audit(tool, args, context, startedAt, { outcome: 'error', error: error.message });
+        throw error;
+      }
+      await audit(tool, args, context, startedAt, {
+        outcome: 'success',
+        affectedIds: dryRunFlag(tool, args) ? [] : collectAffectedIds(result)
+      });
+      return result;
+    }
+  };
+}
+
+// Map tool errors to HTTP status codes for the REST route
+export function errorStatus(error) {
+  if (error instanceof UnknownToolError) return 404;
+  if (error instanceof ToolPermissionError) return 403;
+  if (error instanceof ToolInputError) return 400;
+  return 500;
+}
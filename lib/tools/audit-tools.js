@@ -0,0 +1,52 @@
+import { ToolInputError } from '../errors.js';
+import { SCOPES } from '../scopes.js';
+
+// Tools for reading the audit trail of mutating tool calls
+export const createAuditTools = (auditLog) => [
+  {
+    name: 'audit_query',
+    description: 'Query the audit trail of mutating tool calls (who ran what, with which arguments, and what it affected)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tool: {
+          type: 'string',
+          description: 'Only records whose tool name contains this text'
+        },
+        caller: {
+          type: 'string',
+          description: 'Only records from this API key name'
+        },
+        environment: {
+          type: 'string',
+          description: 'Only records for this environment'
+        },
+        outcome: {
+          type: 'string',
+          description: 'Only records with this outcome',
+          enum: ['success', 'error', 'denied']
+        },
+        since: {
+          type: 'string',
+          description: 'Only records at or after this ISO timestamp'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of records to return (newest first)',
+          default: 50
+        }
+      }
+    },
+    scope: SCOPES.AUDIT_READ,
+    handler: async (args) => {
+      const { since, limit = 50 } = args;
+      if (since && isNaN(new Date(since).getTime())) {
+        throw new ToolInputError('Invalid date format for since');
+      }
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        throw new ToolInputError('limit must be an integer between 1 and 1000');
+      }
+      return await auditLog.query({ ...args, limit });
+    }
+  }
+];
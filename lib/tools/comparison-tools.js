@@ -0,0 +1,104 @@
+import { ENVIRONMENTS, isDatabaseConfigured, toolNameFor } from '../environments.js';
+import { ToolInputError } from '../errors.js';
+import { diffResults } from '../result-diff.js';
+import { SCOPES } from '../scopes.js';
+
+// Read-only aggregate tools that make sense side by side, as
+// `<family>_<tool>` (the name without its environment prefix)
+const COMPARABLE_TOOLS = {
+  logs_stats: { family: 'logs', tool: 'stats' },
+  logs_failedOperations: { family: 'logs', tool: 'failedOperations' },
+  db_videoStats: { family: 'db', tool: 'videoStats' },
+  db_processingStatus: { family: 'db', tool: 'processingStatus' },
+  db_processingAnalytics: { family: 'db', tool: 'processingAnalytics' },
+  db_errorAnalysis: { family: 'db', tool: 'errorAnalysis' },
+  db_languageAnalytics: { family: 'db', tool: 'languageAnalytics' },
+  db_storageAnalysis: { family: 'db', tool: 'storageAnalysis' }
+};
+
+// Tools that compare environments by running another tool in each of them
+// through `registry`, so every run goes through the same scope checks and
+// audit as a direct call
+export const createComparisonTools = (registry) => [
+  {
+    name: 'compare_environments',
+    description: 'Run the same stats tool against two environments (by default staging against production) and return a side-by-side diff with deltas',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tool: {
+          type: 'string',
+          enum: Object.keys(COMPARABLE_TOOLS),
+          description: 'Tool to run in both environments'
+        },
+        args: {
+          type: 'object',
+          description: 'Arguments for the tool, the same for both environments (e.g. { "hours": 24 } or { "days": 7 })'
+        },
+        baseline: {
+          type: 'string',
+          enum: Object.keys(ENVIRONMENTS),
+          description: 'Environment to compare against',
+          default: 'production'
+        },
+        candidate: {
+          type: 'string',
+          enum: Object.keys(ENVIRONMENTS),
+          description: 'Environment being verified',
+          default: 'delicious-sienna-fluke'
+        }
+      },
+      required: ['tool']
+    },
+    // The tools it runs check their own scopes
+    scope: SCOPES.LOGS_READ,
+    handler: async (input, context = {}) => {
+      const {
+        tool,
+        args = {},
+        baseline = 'production',
+        candidate = 'delicious-sienna-fluke'
+      } = input;
+      const target = COMPARABLE_TOOLS[tool];
+      if (!target) {
+        throw new ToolInputError(`tool must be one of: ${Object.keys(COMPARABLE_TOOLS).join(', ')}`);
+      }
+      for (const env of [baseline, candidate]) {
+        if (!ENVIRONMENTS[env]) {
+          throw new ToolInputError(`Unknown environment: ${env}`);
+        }
+      }
+      const withoutDatabase = [baseline, candidate].find(env => !isDatabaseConfigured(env));
+      if (target.family === 'db' && withoutDatabase) {
+        throw new ToolInputError(`Environment ${withoutDatabase} has no database configured`);
+      }
+      if (baseline === candidate) {
+        throw new ToolInputError('baseline and candidate must be different environments');
+      }
+      if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+        throw new ToolInputError('args must be an object');
+      }
+
+      // Pin the end of log windows so both environments cover the same time
+      const runArgs = target.family === 'logs' && !args.to
+        ? { ...args, to: new Date().toISOString() }
+        : args;
+      const names = {
+        baseline: toolNameFor(baseline, target.family, target.tool),
+        candidate: toolNameFor(candidate, target.family, target.tool)
+      };
+      const [baselineResult, candidateResult] = await Promise.all([
+        registry.callTool(names.baseline, runArgs, context),
+        registry.callTool(names.candidate, runArgs, context)
+      ]);
+
+      return {
+        tool,
+        args: runArgs,
+        baseline: { environment: baseline, tool: names.baseline },
+        candidate: { environment: candidate, tool: names.candidate },
+        ...diffResults(baselineResult, candidateResult)
+      };
+    }
+  }
+];
@@ -0,0 +1,1456 @@
+import { queryDatabase, withTransaction } from '../database.js';
+import { ToolInputError } from '../errors.js';
+import { SCOPES } from '../scopes.js';
+import { ARCHIVED_TABLES } from '../deletion-archive.js';
+
+// Snapshot the full rows of the users and videos about to be deleted, plus
+// every process request that references them (deleting either cascades to
+// process_requests), into the deletion archive. Runs inside the deleting
+// transaction so the snapshot matches exactly what is removed.
+async function archiveRows(query, archive, { env, tool, context, userIds = [], videoIds = [] }) {
+  const users = userIds.length > 0
+    ? await query('SELECT * FROM users WHERE id = ANY($1)', [userIds])
+    : [];
+  const videos = videoIds.length > 0
+    ? await query('SELECT * FROM videos WHERE id = ANY($1)', [videoIds])
+    : [];
+  const processRequests = await query(
+    'SELECT * FROM process_requests WHERE user_id = ANY($1) OR video_id = ANY($2)',
+    [userIds, videoIds]
+  );
+  return await archive.save({
+    environment: env,
+    tool,
+    caller: context.auth?.clientId || null,
+    rows: { users, videos, process_requests: processRequests }
+  });
+}
+
+// withTransaction for the delete tools. `work` gets `snapshot(options)` to
+// archive rows (see archiveRows) before deleting them; when the transaction
+// rolls back, the archives it wrote are discarded again, since their rows
+// were never deleted.
+async function withArchivedTransaction(env, archive, work) {
+  const saved = [];
+  try {
+    return await withTransaction(env, (query) => work(query, async (options) => {
+      const archived = await archiveRows(query, archive, options);
+      saved.push(archived.archiveId);
+      return archived;
+    }));
+  } catch (error) {
+    for (const archiveId of saved) {
+      await archive.discard(archiveId);
+    }
+    throw error;
+  }
+}
+
+// `days` arguments are bound as query parameters, never interpolated
+function validateDays(days) {
+  if (!Number.isInteger(days) || days < 1) {
+    throw new ToolInputError('days must be a positive integer');
+  }
+  return days;
+}
+
+// Database tools. Rows removed by the delete tools are archived in `archive`
+// (see deletion-archive.js) and can be brought back with db_restoreDeleted.
+export const createDatabaseTools = (env, prefix, { archive }) => [
+  {
+    name: `${prefix}_db_videoStats`,
+    description: `Get video database statistics from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    scope: SCOPES.DB_READ,
+    handler: async () => {
+      const query = `
+        WITH video_stats AS (
+          SELECT 
+            COUNT(*) as total_videos,
+            COUNT(DISTINCT yt_id) as unique_videos,
+            COUNT(CASE WHEN current_version > 0 THEN 1 END) as processed_videos,
+            COUNT(CASE WHEN audio_url IS NOT NULL THEN 1 END) as videos_with_audio,
+            COUNT(CASE WHEN frames_extracted = true THEN 1 END) as videos_with_frames,
+            COUNT(CASE WHEN transcript IS NOT NULL THEN 1 END) as videos_with_transcript,
+            COUNT(CASE WHEN embeddings_generated = true THEN 1 END) as videos_with_embeddings,
+            AVG(CASE WHEN duration > 0 THEN duration END)::INTEGER as avg_duration_seconds,
+            SUM(CASE WHEN duration > 0 THEN duration END)::INTEGER as total_duration_seconds,
+            MIN(inserted_at) as first_video_date,
+            MAX(inserted_at) as last_video_date,
+            COUNT(CASE WHEN inserted_at > NOW() - INTERVAL '24 hours' THEN 1 END) as videos_last_24h,
+            COUNT(CASE WHEN inserted_at > NOW() - INTERVAL '7 days' THEN 1 END) as videos_last_7d,
+            COUNT(CASE WHEN inserted_at > NOW() - INTERVAL '30 days' THEN 1 END) as videos_last_30d
+          FROM videos
+        ),
+        processing_stats AS (
+          SELECT 
+            COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_jobs,
+            COUNT(CASE WHEN status = 'processing' THEN 1 END) as processing_jobs,
+            COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_jobs,
+            COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_jobs
+          FROM process_requests
+        ),
+        language_stats AS (
+          SELECT 
+            COUNT(DISTINCT language) as unique_languages,
+            MODE() WITHIN GROUP (ORDER BY language) as most_common_language
+          FROM videos
+          WHERE language IS NOT NULL
+        ),
+        channel_stats AS (
+          SELECT 
+            COUNT(DISTINCT youtube_channel_id) as unique_channels,
+            MODE() WITHIN GROUP (ORDER BY youtube_channel_title) as most_active_channel
+          FROM videos
+          WHERE youtube_channel_id IS NOT NULL
+        )
+        SELECT 
+          v.*,
+          p.*,
+          l.*,
+          c.*,
+          ROUND(v.processed_videos::NUMERIC / NULLIF(v.total_videos, 0) * 100, 2) as processing_completion_rate,
+          ROUND(v.total_duration_seconds::NUMERIC / 3600, 2) as total_hours_content,
+          ROUND(v.videos_last_24h::NUMERIC / 24, 2) as avg_videos_per_hour_24h
+        FROM video_stats v
+        CROSS JOIN processing_stats p
+        CROSS JOIN language_stats l
+        CROSS JOIN channel_stats c
+      `;
+      const stats = await queryDatabase(query, [], env);
+      return stats;
+    }
+  },
+  {
+    name: `${prefix}_db_processingStatus`,
+    description: `Get video processing status summary from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    scope: SCOPES.DB_READ,
+    handler: async () => {
+      const query = `
+        WITH status_summary AS (
+          SELECT 
+            status,
+            COUNT(*) as count,
+            COUNT(DISTINCT video_id) as unique_videos,
+            COUNT(DISTINCT user_id) as unique_users,
+            AVG(retry_count)::NUMERIC(10,2) as avg_retries,
+            MAX(retry_count) as max_retries,
+            MIN(created_at) as oldest_request,
+            MAX(updated_at) as latest_update
+          FROM process_requests
+          GROUP BY status
+        ),
+        operation_breakdown AS (
+          SELECT 
+            operation,
+            status,
+            COUNT(*) as count
+          FROM process_requests
+          GROUP BY operation, status
+        ),
+        recent_activity AS (
+          SELECT 
+            COUNT(CASE WHEN created_at > NOW() - INTERVAL '1 hour' THEN 1 END) as requests_last_hour,
+            COUNT(CASE WHEN created_at > NOW() - INTERVAL '24 hours' THEN 1 END) as requests_last_24h,
+            COUNT(CASE WHEN status = 'failed' AND updated_at > NOW() - INTERVAL '24 hours' THEN 1 END) as failures_last_24h,
+            COUNT(CASE WHEN status = 'completed' AND updated_at > NOW() - INTERVAL '24 hours' THEN 1 END) as completed_last_24h
+          FROM process_requests
+        ),
+        queue_status AS (
+          SELECT 
+            COUNT(CASE WHEN status = 'pending' THEN 1 END) as queue_size,
+            MIN(CASE WHEN status = 'pending' THEN created_at END) as oldest_pending_request,
+            EXTRACT(EPOCH FROM (NOW() - MIN(CASE WHEN status = 'pending' THEN created_at END)))/60 as oldest_pending_minutes
+          FROM process_requests
+        )
+        SELECT 
+          json_build_object(
+            'summary', (SELECT json_agg(row_to_json(s)) FROM status_summary s),
+            'by_operation', (SELECT json_agg(json_build_object(
+              'operation', operation,
+              'status', status,
+              'count', count
+            )) FROM operation_breakdown),
+            'recent_activity', (SELECT row_to_json(r) FROM recent_activity r),
+            'queue_status', (SELECT row_to_json(q) FROM queue_status q),
+            'health_indicators', json_build_object(
+              'failure_rate_24h', ROUND(
+                (SELECT failures_last_24h::NUMERIC / NULLIF(requests_last_24h, 0) * 100 FROM recent_activity), 2
+              ),
+              'completion_rate_24h', ROUND(
+                (SELECT completed_last_24h::NUMERIC / NULLIF(requests_last_24h, 0) * 100 FROM recent_activity), 2
+              ),
+              'has_stale_queue', (SELECT oldest_pending_minutes > 60 FROM queue_status)
+            )
+          ) as status_report
+      `;
+      const status = await queryDatabase(query, [], env);
+      return status;
+    }
+  },
+  {
+    name: `${prefix}_db_recentVideos`,
+    description: `Get recently added videos from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'number',
+          description: 'Number of videos to return',
+          default: 10
+        }
+      }
+    },
+    scope: SCOPES.DB_READ,
+    handler: async (args) => {
+      const { limit = 10 } = args;
+      const query = `
+        SELECT 
+          id, yt_id, title, uploader as channel_name, duration, 
+          language, current_version, inserted_at
+        FROM videos
+        ORDER BY inserted_at DESC
+        LIMIT $1
+      `;
+      const videos = await queryDatabase(query, [limit], env);
+      return videos;
+    }
+  },
+  {
+    name: `${prefix}_db_videoByYtId`,
+    description: `Get video details by YouTube ID from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ytId: {
+          type: 'string',
+          description: 'YouTube video ID',
+          required: true
+        }
+      },
+      required: ['ytId']
+    },
+    scope: SCOPES.DB_READ,
+    handler: async (args) => {
+      const { ytId } = args;
+      if (!ytId) {
+        throw new ToolInputError('Missing required parameter: ytId');
+      }
+      const query = `
+        SELECT 
+          v.*,
+          pr.status as processing_status,
+          pr.failure_reason as last_error,
+          pr.updated_at as last_processed
+        FROM videos v
+        LEFT JOIN process_requests pr ON pr.video_id = v.id
+        WHERE v.yt_id = $1
+        ORDER BY pr.updated_at DESC
+        LIMIT 1
+      `;
+      const video = await queryDatabase(query, [ytId], env);
+      return video;
+    }
+  },
+  {
+    name: `${prefix}_db_userStats`,
+    description: `Get user statistics and credit usage from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    scope: SCOPES.DB_READ,
+    handler: async () => {
+      const query = `
+        WITH user_summary AS (
+          SELECT 
+            u.id,
+            u.email,
+            u.credits,
+            u.created_at,
+            COUNT(DISTINCT pr.id) as total_requests,
+            COUNT(DISTINCT CASE WHEN pr.status = 'completed' THEN pr.id END) as completed_requests,
+            COUNT(DISTINCT CASE WHEN pr.status = 'failed' THEN pr.id END) as failed_requests,
+            COUNT(DISTINCT pr.video_id) as unique_videos_processed,
+            MAX(pr.created_at) as last_activity,
+            SUM(CASE WHEN pr.created_at > NOW() - INTERVAL '30 days' THEN 1 ELSE 0 END) as requests_last_30d
+          FROM users u
+          LEFT JOIN process_requests pr ON pr.user_id = u.id
+          GROUP BY u.id, u.email, u.credits, u.created_at
+        ),
+        user_segments AS (
+          SELECT 
+            COUNT(CASE WHEN total_requests = 0 THEN 1 END) as inactive_users,
+            COUNT(CASE WHEN total_requests > 0 AND total_requests <= 5 THEN 1 END) as light_users,
+            COUNT(CASE WHEN total_requests > 5 AND total_requests <= 20 THEN 1 END) as moderate_users,
+            COUNT(CASE WHEN total_requests > 20 THEN 1 END) as heavy_users,
+            COUNT(CASE WHEN credits = 0 AND total_requests > 0 THEN 1 END) as users_out_of_credits,
+            COUNT(CASE WHEN last_activity > NOW() - INTERVAL '7 days' THEN 1 END) as active_last_7d,
+            COUNT(CASE WHEN last_activity > NOW() - INTERVAL '30 days' THEN 1 END) as active_last_30d
+          FROM user_summary
+        ),
+        credit_analysis AS (
+          SELECT 
+            SUM(credits) as total_credits_remaining,
+            AVG(credits)::NUMERIC(10,2) as avg_credits_per_user,
+            PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY credits) as median_credits,
+            MIN(credits) as min_credits,
+            MAX(credits) as max_credits,
+            COUNT(CASE WHEN credits < 10 THEN 1 END) as users_low_credits
+          FROM users
+        ),
+        top_users AS (
+          SELECT 
+            json_agg(json_build_object(
+              'email', email,
+              'total_requests', total_requests,
+              'completed_requests', completed_requests,
+              'credits_remaining', credits,
+              'last_activity', last_activity
+            ) ORDER BY total_requests DESC) as top_10_users
+          FROM (
+            SELECT * FROM user_summary 
+            ORDER BY total_requests DESC 
+            LIMIT 10
+          ) t
+        )
+        SELECT 
+          json_build_object(
+            'overview', json_build_object(
+              'total_users', (SELECT COUNT(*) FROM users),
+              'total_active_users', (SELECT COUNT(DISTINCT user_id) FROM process_requests),
+              'new_users_last_7d', (SELECT COUNT(*) FROM users WHERE created_at > NOW() - INTERVAL '7 days'),
+              'new_users_last_30d', (SELECT COUNT(*) FROM users WHERE created_at > NOW() - INTERVAL '30 days')
+            ),
+            'user_segments', (SELECT row_to_json(us) FROM user_segments us),
+            'credit_analysis', (SELECT row_to_json(ca) FROM credit_analysis ca),
+            'activity_metrics', json_build_object(
+              'total_videos_processed', (SELECT COUNT(DISTINCT video_id) FROM process_requests WHERE status = 'completed'),
+              'avg_videos_per_active_user', (
+                SELECT AVG(unique_videos_processed)::NUMERIC(10,2) 
+                FROM user_summary 
+                WHERE total_requests > 0
+              ),
+              'total_processing_requests', (SELECT COUNT(*) FROM process_requests),
+              'success_rate', (
+                SELECT ROUND(
+                  COUNT(CASE WHEN status = 'completed' THEN 1 END)::NUMERIC / 
+                  NULLIF(COUNT(*), 0) * 100, 2
+                ) FROM process_requests
+              )
+            ),
+            'top_users', (SELECT top_10_users FROM top_users)
+          ) as user_statistics
+      `;
+      const stats = await queryDatabase(query, [], env);
+      return stats;
+    }
+  },
+  {
+    name: `${prefix}_db_failedJobs`,
+    description: `Get failed processing jobs from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'number',
+          description: 'Number of failed jobs to return',
+          default: 10
+        }
+      }
+    },
+    scope: SCOPES.DB_READ,
+    handler: async (args) => {
+      const { limit = 10 } = args;
+      const query = `
+        SELECT 
+          pr.id,
+          pr.video_id,
+          v.yt_id,
+          v.title,
+          pr.failure_reason as last_error,
+          pr.retry_count,
+          pr.updated_at
+        FROM process_requests pr
+        JOIN videos v ON v.id = pr.video_id
+        WHERE pr.status = 'failed'
+        ORDER BY pr.updated_at DESC
+        LIMIT $1
+      `;
+      const jobs = await queryDatabase(query, [limit], env);
+      return jobs;
+    }
+  },
+  {
+    name: `${prefix}_db_deleteVideos`,
+    description: `Delete videos by criteria from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ytIds: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Array of YouTube IDs to delete'
+        },
+        beforeDate: {
+          type: 'string',
+          description: 'Delete videos inserted before this date'
+        },
+        status: {
+          type: 'string',
+          description: 'Delete videos with specific processing status'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'If true, show what would be deleted without deleting',
+          default: true
+        },
+        confirmationToken: {
+          type: 'string',
+          description: 'Token returned by the dry run; required when dryRun is false'
+        }
+      }
+    },
+    scope: SCOPES.DB_ADMIN,
+    requiresConfirmation: true,
+    handler: async (args, context) => {
+      const { ytIds, beforeDate, status, dryRun = true } = args;
+      let conditions = [];
+      let params = [];
+      let paramCount = 0;
+      
+      if (ytIds && ytIds.length > 0) {
+        paramCount++;
+        conditions.push(`yt_id = ANY($${paramCount})`);
+        params.push(ytIds);
+      }
+      
+      if (beforeDate) {
+        paramCount++;
+        conditions.push(`inserted_at < $${paramCount}`);
+        params.push(beforeDate);
+      }
+      
+      if (status) {
+        paramCount++;
+        conditions.push(`id IN (SELECT video_id FROM process_requests WHERE status = $${paramCount})`);
+        params.push(status);
+      }
+      
+      if (conditions.length === 0) {
+        throw new ToolInputError('At least one deletion criteria must be specified');
+      }
+      
+      const whereClause = conditions.join(' AND ');
+      
+      if (dryRun) {
+        const countQuery = `SELECT COUNT(*) as count, array_agg(yt_id) as sample_yt_ids FROM videos WHERE ${whereClause}`;
+        const result = await queryDatabase(countQuery, params, env);
+        return { dryRun: true, wouldDelete: result[0] };
+      } else {
+        const { result, transaction } = await withArchivedTransaction(env, archive, async (query, snapshot) => {
+          const targets = await query(`SELECT id FROM videos WHERE ${whereClause} FOR UPDATE`, params);
+          const videoIds = targets.map(video => video.id);
+          const archived = await snapshot({
+            env, tool: `${prefix}_db_deleteVideos`, context, videoIds
+          });
+          const videos = await query(
+            'DELETE FROM videos WHERE id = ANY($1) RETURNING id, yt_id, title',
+            [videoIds]
+          );
+          return { videos, archived };
+        });
+        return {
+          deleted: result.videos.length,
+          videos: result.videos,
+          archive: result.archived,
+          transaction
+        };
+      }
+    }
+  },
+  {
+    name: `${prefix}_db_channelStats`,
+    description: `Get detailed channel statistics from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        channelName: {
+          type: 'string',
+          description: 'Channel name to analyze (optional, all if not provided)'
+        }
+      }
+    },
+    scope: SCOPES.DB_READ,
+    handler: async (args) => {
+      const { channelName } = args;
+      let query;
+      let params = [];
+      
+      if (channelName) {
+        query = `
+          WITH channel_details AS (
+            SELECT 
+              uploader as channel_name,
+              COUNT(*) as total_videos,
+              COUNT(CASE WHEN current_version > 0 THEN 1 END) as processed_videos,
+              COUNT(CASE WHEN audio_url IS NOT NULL THEN 1 END) as videos_with_audio,
+              COUNT(CASE WHEN frames_extracted = true THEN 1 END) as videos_with_frames,
+              COUNT(CASE WHEN transcript IS NOT NULL THEN 1 END) as videos_with_transcript,
+              COUNT(CASE WHEN embeddings_generated = true THEN 1 END) as videos_with_embeddings,
+              AVG(CASE WHEN duration > 0 THEN duration END)::INTEGER as avg_duration_seconds,
+              SUM(CASE WHEN duration > 0 THEN duration END)::INTEGER as total_duration_seconds,
+              MIN(inserted_at) as first_video_date,
+              MAX(inserted_at) as last_video_date,
+              COUNT(DISTINCT language) as unique_languages,
+              array_agg(DISTINCT language) FILTER (WHERE language IS NOT NULL) as languages,
+              AVG(CASE WHEN transcript IS NOT NULL THEN LENGTH(transcript) ELSE 0 END)::INTEGER as avg_transcript_length,
+              COUNT(CASE WHEN inserted_at > NOW() - INTERVAL '30 days' THEN 1 END) as videos_last_30d
+            FROM videos
+            WHERE uploader = $1
+            GROUP BY uploader
+          ),
+          processing_stats AS (
+            SELECT 
+              COUNT(CASE WHEN pr.status = 'failed' THEN 1 END) as failed_jobs,
+              COUNT(CASE WHEN pr.status = 'pending' THEN 1 END) as pending_jobs,
+              array_agg(DISTINCT pr.failure_reason) FILTER (WHERE pr.failure_reason IS NOT NULL) as failure_reasons
+            FROM process_requests pr
+            JOIN videos v ON v.id = pr.video_id
+            WHERE v.uploader = $1
+          )
+          SELECT 
+            cd.*,
+            ps.failed_jobs,
+            ps.pending_jobs,
+            ps.failure_reasons,
+            ROUND(cd.processed_videos::NUMERIC / NULLIF(cd.total_videos, 0) * 100, 2) as processing_rate,
+            ROUND(cd.total_duration_seconds::NUMERIC / 3600, 2) as total_hours_content,
+            ROUND(cd.videos_last_30d::NUMERIC / 30, 2) as avg_videos_per_day_30d
+          FROM channel_details cd
+          CROSS JOIN processing_stats ps
+        `;
+        params = [channelName];
+      } else {
+        query = `
+          WITH channel_summary AS (
+            SELECT 
+              uploader as channel_name,
+              COUNT(*) as total_videos,
+              COUNT(CASE WHEN current_version > 0 THEN 1 END) as processed_videos,
+              AVG(CASE WHEN duration > 0 THEN duration END)::INTEGER as avg_duration_seconds,
+              SUM(CASE WHEN duration > 0 THEN duration END)::INTEGER as total_duration_seconds,
+              MIN(inserted_at) as first_video_date,
+              MAX(inserted_at) as last_video_date,
+              COUNT(CASE WHEN inserted_at > NOW() - INTERVAL '30 days' THEN 1 END) as recent_videos
+            FROM videos
+            WHERE uploader IS NOT NULL
+            GROUP BY uploader
+          )
+          SELECT 
+            channel_name,
+            total_videos,
+            processed_videos,
+            ROUND(processed_videos::NUMERIC / NULLIF(total_videos, 0) * 100, 2) as processing_rate,
+            avg_duration_seconds,
+            ROUND(total_duration_seconds::NUMERIC / 3600, 2) as total_hours,
+            first_video_date,
+            last_video_date,
+            recent_videos,
+            CASE 
+              WHEN recent_videos > 10 THEN 'Very Active'
+              WHEN recent_videos > 5 THEN 'Active'
+              WHEN recent_videos > 0 THEN 'Moderate'
+              ELSE 'Inactive'
+            END as activity_level
+          FROM channel_summary
+          ORDER BY total_videos DESC
+          LIMIT 20
+        `;
+      }
+      
+      const stats = await queryDatabase(query, params, env);
+      return stats;
+    }
+  },
+  {
+    name: `${prefix}_db_processingAnalytics`,
+    description: `Get processing time and success rate analytics from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        days: {
+          type: 'integer',
+          description: 'Number of days to analyze',
+          default: 7
+        }
+      }
+    },
+    scope: SCOPES.DB_READ,
+    handler: async (args) => {
+      const days = validateDays(args.days ?? 7);
+      const query = `
+        WITH processing_times AS (
+          SELECT 
+            pr.status,
+            pr.inserted_at,
+            pr.updated_at,
+            pr.retry_count,
+            EXTRACT(EPOCH FROM (pr.updated_at - pr.inserted_at)) as processing_seconds,
+            DATE_TRUNC('day', pr.inserted_at) as processing_date,
+            EXTRACT(HOUR FROM pr.inserted_at) as processing_hour
+          FROM process_requests pr
+          WHERE pr.inserted_at > NOW() - make_interval(days => $1)
+        ),
+        overall_metrics AS (
+          SELECT 
+            COUNT(*) as total_jobs,
+            COUNT(CASE WHEN status = 'completed' THEN 1 END) as successful,
+            COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed,
+            COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
+            COUNT(CASE WHEN status = 'processing' THEN 1 END) as processing,
+            ROUND(COUNT(CASE WHEN status = 'completed' THEN 1 END)::NUMERIC / NULLIF(COUNT(*), 0) * 100, 2) as success_rate,
+            AVG(CASE WHEN status = 'completed' THEN processing_seconds END)::INTEGER as avg_success_time_seconds,
+            PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY CASE WHEN status = 'completed' THEN processing_seconds END) as median_success_time_seconds,
+            PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY CASE WHEN status = 'completed' THEN processing_seconds END) as p95_success_time_seconds,
+            MAX(CASE WHEN status = 'completed' THEN processing_seconds END)::INTEGER as max_success_time_seconds,
+            MIN(CASE WHEN status = 'completed' THEN processing_seconds END)::INTEGER as min_success_time_seconds,
+            AVG(retry_count)::NUMERIC(10,2) as avg_retries,
+            MAX(retry_count) as max_retries
+          FROM processing_times
+        ),
+        daily_trends AS (
+          SELECT 
+            processing_date,
+            COUNT(*) as daily_jobs,
+            COUNT(CASE WHEN status = 'completed' THEN 1 END) as daily_completed,
+            COUNT(CASE WHEN status = 'failed' THEN 1 END) as daily_failed,
+            ROUND(AVG(CASE WHEN status = 'completed' THEN processing_seconds END)::NUMERIC, 2) as avg_daily_processing_time
+          FROM processing_times
+          GROUP BY processing_date
+          ORDER BY processing_date DESC
+        ),
+        hourly_distribution AS (
+          SELECT 
+            processing_hour,
+            COUNT(*) as jobs_count,
+            ROUND(COUNT(CASE WHEN status = 'completed' THEN 1 END)::NUMERIC / NULLIF(COUNT(*), 0) * 100, 2) as hourly_success_rate
+          FROM processing_times
+          GROUP BY processing_hour
+          ORDER BY processing_hour
+        ),
+        video_complexity AS (
+          SELECT 
+            CASE 
+              WHEN v.duration < 300 THEN 'Short (< 5 min)'
+              WHEN v.duration < 900 THEN 'Medium (5-15 min)'
+              WHEN v.duration < 1800 THEN 'Long (15-30 min)'
+              ELSE 'Very Long (> 30 min)'
+            END as duration_category,
+            COUNT(pr.id) as jobs_count,
+            ROUND(COUNT(CASE WHEN pr.status = 'completed' THEN 1 END)::NUMERIC / NULLIF(COUNT(*), 0) * 100, 2) as success_rate,
+            AVG(EXTRACT(EPOCH FROM (pr.updated_at - pr.inserted_at)))::INTEGER as avg_processing_seconds
+          FROM process_requests pr
+          JOIN videos v ON v.id = pr.video_id
+          WHERE pr.inserted_at > NOW() - make_interval(days => $1)
+            AND v.duration > 0
+          GROUP BY duration_category
+        )
+        SELECT 
+          json_build_object(
+            'overall_metrics', (SELECT row_to_json(om) FROM overall_metrics om),
+            'daily_trends', (SELECT json_agg(row_to_json(dt)) FROM daily_trends dt),
+            'hourly_distribution', (SELECT json_agg(row_to_json(hd)) FROM hourly_distribution hd),
+            'video_complexity_impact', (SELECT json_agg(row_to_json(vc)) FROM video_complexity vc),
+            'summary', json_build_object(
+              'total_jobs', (SELECT total_jobs FROM overall_metrics),
+              'overall_success_rate', (SELECT success_rate FROM overall_metrics),
+              'avg_processing_time_minutes', (SELECT ROUND(avg_success_time_seconds::NUMERIC / 60, 2) FROM overall_metrics),
+              'busiest_hour', (SELECT processing_hour FROM hourly_distribution ORDER BY jobs_count DESC LIMIT 1),
+              'quietest_hour', (SELECT processing_hour FROM hourly_distribution ORDER BY jobs_count ASC LIMIT 1)
+            )
+          ) as analytics_report
+      `;
+      const analytics = await queryDatabase(query, [days], env);
+      return analytics;
+    }
+  },
+  {
+    name: `${prefix}_db_languageAnalytics`,
+    description: `Get language distribution and processing success by language from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    scope: SCOPES.DB_READ,
+    handler: async () => {
+      const query = `
+        WITH language_stats AS (
+          SELECT 
+            COALESCE(v.language, 'en') as language,
+            COUNT(DISTINCT v.id) as total_videos,
+            COUNT(DISTINCT CASE WHEN v.current_version > 0 THEN v.id END) as processed_videos,
+            COUNT(DISTINCT v.youtube_channel_id) as unique_channels,
+            AVG(CASE WHEN v.duration > 0 THEN v.duration END)::INTEGER as avg_duration_seconds,
+            SUM(CASE WHEN v.duration > 0 THEN v.duration END)::INTEGER as total_duration_seconds,
+            COUNT(DISTINCT CASE WHEN v.transcript IS NOT NULL THEN v.id END) as videos_with_transcript,
+            COUNT(DISTINCT CASE WHEN v.audio_url IS NOT NULL THEN v.id END) as videos_with_audio,
+            COUNT(DISTINCT CASE WHEN v.frames_extracted = true THEN v.id END) as videos_with_frames,
+            COUNT(DISTINCT CASE WHEN v.embeddings_generated = true THEN v.id END) as videos_with_embeddings,
+            MIN(v.inserted_at) as first_video_date,
+            MAX(v.inserted_at) as last_video_date,
+            COUNT(CASE WHEN v.inserted_at > NOW() - INTERVAL '30 days' THEN 1 END) as videos_last_30d,
+            COUNT(CASE WHEN v.inserted_at > NOW() - INTERVAL '7 days' THEN 1 END) as videos_last_7d
+          FROM videos v
+          GROUP BY COALESCE(v.language, 'en')
+        ),
+        processing_stats AS (
+          SELECT 
+            COALESCE(v.language, 'en') as language,
+            COUNT(DISTINCT CASE WHEN pr.status = 'failed' THEN v.id END) as failed_videos,
+            COUNT(DISTINCT CASE WHEN pr.status = 'pending' THEN v.id END) as pending_videos,
+            COUNT(DISTINCT pr.id) as total_processing_attempts,
+            AVG(pr.retry_count) as avg_retries,
+            array_agg(DISTINCT pr.failure_reason) FILTER (WHERE pr.failure_reason IS NOT NULL) as common_errors
+          FROM videos v
+          LEFT JOIN process_requests pr ON pr.video_id = v.id
+          GROUP BY COALESCE(v.language, 'en')
+        ),
+        language_trends AS (
+          SELECT 
+            COALESCE(language, 'en') as language,
+            DATE_TRUNC('month', inserted_at) as month,
+            COUNT(*) as monthly_videos
+          FROM videos
+          WHERE inserted_at > NOW() - INTERVAL '6 months'
+          GROUP BY COALESCE(language, 'en'), DATE_TRUNC('month', inserted_at)
+        ),
+        top_channels_by_language AS (
+          SELECT 
+            COALESCE(language, 'en') as language,
+            youtube_channel_title,
+            COUNT(*) as channel_videos,
+            ROW_NUMBER() OVER (PARTITION BY COALESCE(language, 'en') ORDER BY COUNT(*) DESC) as rank
+          FROM videos
+          WHERE youtube_channel_title IS NOT NULL
+          GROUP BY COALESCE(language, 'en'), youtube_channel_title
+        )
+        SELECT 
+          json_build_object(
+            'language_summary', (
+              SELECT json_agg(json_build_object(
+                'language', ls.language,
+                'total_videos', ls.total_videos,
+                'processed_videos', ls.processed_videos,
+                'processing_rate', ROUND(ls.processed_videos::NUMERIC / NULLIF(ls.total_videos, 0) * 100, 2),
+                'unique_channels', ls.unique_channels,
+                'avg_duration_seconds', ls.avg_duration_seconds,
+                'total_hours_content', ROUND(ls.total_duration_seconds::NUMERIC / 3600, 2),
+                'videos_with_transcript', ls.videos_with_transcript,
+                'transcript_rate', ROUND(ls.videos_with_transcript::NUMERIC / NULLIF(ls.total_videos, 0) * 100, 2),
+                'failed_videos', ps.failed_videos,
+                'failure_rate', ROUND(ps.failed_videos::NUMERIC / NULLIF(ls.total_videos, 0) * 100, 2),
+                'growth_last_30d', ls.videos_last_30d,
+                'growth_last_7d', ls.videos_last_7d,
+                'is_active', ls.videos_last_7d > 0
+              ) ORDER BY ls.total_videos DESC)
+              FROM language_stats ls
+              LEFT JOIN processing_stats ps ON ps.language = ls.language
+            ),
+            'growth_trends', (
+              SELECT json_agg(json_build_object(
+                'language', language,
+                'month', month,
+                'videos', monthly_videos
+              ) ORDER BY language, month)
+              FROM language_trends
+            ),
+            'top_channels_per_language', (
+              SELECT json_agg(json_build_object(
+                'language', language,
+                'channel', youtube_channel_title,
+                'videos', channel_videos
+              ) ORDER BY language, rank)
+              FROM top_channels_by_language
+              WHERE rank <= 3
+            ),
+            'summary', json_build_object(
+              'total_languages', (SELECT COUNT(DISTINCT language) FROM language_stats),
+              'most_popular_language', (SELECT language FROM language_stats ORDER BY total_videos DESC LIMIT 1),
+              'highest_processing_rate_language', (
+                SELECT language 
+                FROM language_stats 
+                WHERE total_videos > 10
+                ORDER BY processed_videos::NUMERIC / NULLIF(total_videos, 0) DESC 
+                LIMIT 1
+              ),
+              'total_multilingual_channels', (
+                SELECT COUNT(DISTINCT youtube_channel_id) 
+                FROM (
+                  SELECT youtube_channel_id
+                  FROM videos
+                  WHERE youtube_channel_id IS NOT NULL
+                  GROUP BY youtube_channel_id
+                  HAVING COUNT(DISTINCT language) > 1
+                ) mc
+              )
+            )
+          ) as language_analytics
+      `;
+      const analytics = await queryDatabase(query, [], env);
+      return analytics;
+    }
+  },
+  {
+    name: `${prefix}_db_errorAnalysis`,
+    description: `Analyze error patterns and frequencies from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        days: {
+          type: 'integer',
+          description: 'Number of days to analyze',
+          default: 30
+        }
+      }
+    },
+    scope: SCOPES.DB_READ,
+    handler: async (args) => {
+      const days = validateDays(args.days ?? 30);
+      const query = `
+        SELECT 
+          COALESCE(failure_reason, 'Unknown Error') as error_type,
+          COUNT(*) as occurrences,
+          COUNT(DISTINCT video_id) as affected_videos,
+          MAX(updated_at) as last_occurrence,
+          MIN(updated_at) as first_occurrence
+        FROM process_requests
+        WHERE status = 'failed'
+          AND updated_at > NOW() - make_interval(days => $1)
+          AND failure_reason IS NOT NULL
+        GROUP BY failure_reason
+        ORDER BY occurrences DESC
+        LIMIT 20
+      `;
+      const analysis = await queryDatabase(query, [days], env);
+      return analysis;
+    }
+  },
+  {
+    name: `${prefix}_db_storageAnalysis`,
+    description: `Analyze storage usage and costs from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    scope: SCOPES.DB_READ,
+    handler: async () => {
+      const query = `
+        SELECT 
+          'Total Storage' as category,
+          COUNT(*) as count,
+          ROUND((
+            COUNT(CASE WHEN audio_url IS NOT NULL THEN 1 END) * 5 +
+            COUNT(CASE WHEN frames_extracted = true THEN 1 END) * 10 * 0.1 +
+            COUNT(CASE WHEN transcript IS NOT NULL THEN 1 END) * 0.001 +
+            COUNT(CASE WHEN embeddings_generated = true THEN 1 END) * 0.004
+          )::NUMERIC, 2) as estimated_mb,
+          ROUND((
+            COUNT(CASE WHEN audio_url IS NOT NULL THEN 1 END) * 5 +
+            COUNT(CASE WHEN frames_extracted = true THEN 1 END) * 10 * 0.1 +
+            COUNT(CASE WHEN transcript IS NOT NULL THEN 1 END) * 0.001 +
+            COUNT(CASE WHEN embeddings_generated = true THEN 1 END) * 0.004
+          )::NUMERIC * 0.023 / 1024, 4) as estimated_cost_usd
+        FROM videos
+        UNION ALL
+        SELECT 
+          'Audio Files' as category,
+          COUNT(*) as count,
+          COUNT(*) * 5 as estimated_mb,
+          ROUND(COUNT(*) * 5 * 0.023 / 1024, 4) as estimated_cost_usd
+        FROM videos WHERE audio_url IS NOT NULL
+        UNION ALL
+        SELECT 
+          'Frame Images' as category,
+          COUNT(*) * 10 as count,
+          ROUND(COUNT(*) * 10 * 0.1, 2) as estimated_mb,
+          ROUND(COUNT(*) * 10 * 0.1 * 0.023 / 1024, 4) as estimated_cost_usd
+        FROM videos WHERE frames_extracted = true
+        UNION ALL
+        SELECT 
+          'Transcripts' as category,
+          COUNT(*) as count,
+          ROUND(SUM(LENGTH(transcript))::NUMERIC / 1024 / 1024, 2) as estimated_mb,
+          ROUND(SUM(LENGTH(transcript))::NUMERIC / 1024 / 1024 * 0.023 / 1024, 4) as estimated_cost_usd
+        FROM videos WHERE transcript IS NOT NULL
+      `;
+      const storage = await queryDatabase(query, [], env);
+      return storage;
+    }
+  },
+  {
+    name: `${prefix}_db_userActivity`,
+    description: `Get detailed user activity analysis from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        userId: {
+          type: 'string',
+          description: 'Specific user ID to analyze (optional)'
+        },
+        days: {
+          type: 'integer',
+          description: 'Number of days to analyze',
+          default: 30
+        }
+      }
+    },
+    scope: SCOPES.DB_READ,
+    handler: async (args) => {
+      const { userId } = args;
+      const days = validateDays(args.days ?? 30);
+      let query;
+      let params = [];
+      
+      if (userId) {
+        query = `
+          SELECT 
+            u.id,
+            u.email,
+            u.credits,
+            COUNT(DISTINCT pr.video_id) as videos_requested,
+            COUNT(DISTINCT CASE WHEN pr.status = 'completed' THEN pr.video_id END) as videos_completed,
+            COUNT(DISTINCT DATE(pr.created_at)) as active_days,
+            MIN(pr.created_at) as first_activity,
+            MAX(pr.created_at) as last_activity,
+            array_agg(DISTINCT pr.operation) as operations_used
+          FROM users u
+          LEFT JOIN process_requests pr ON pr.user_id = u.id
+          WHERE u.id = $1
+            AND (pr.created_at IS NULL OR pr.created_at > NOW() - make_interval(days => $2))
+          GROUP BY u.id, u.email, u.credits
+        `;
+        params = [userId, days];
+      } else {
+        query = `
+          SELECT 
+            u.id,
+            u.email,
+            u.credits,
+            COUNT(DISTINCT pr.video_id) as videos_requested_period,
+            COUNT(DISTINCT CASE WHEN pr.status = 'completed' THEN pr.video_id END) as videos_completed_period,
+            MAX(pr.created_at) as last_activity
+          FROM users u
+          LEFT JOIN process_requests pr ON pr.user_id = u.id
+            AND pr.created_at > NOW() - make_interval(days => $1)
+          GROUP BY u.id, u.email, u.credits
+          HAVING COUNT(pr.id) > 0
+          ORDER BY videos_requested_period DESC
+          LIMIT 20
+        `;
+        params = [days];
+      }
+      
+      const activity = await queryDatabase(query, params, env);
+      return activity;
+    }
+  },
+  {
+    name: `${prefix}_db_cleanupOrphaned`,
+    description: `Clean up orphaned process requests from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dryRun: {
+          type: 'boolean',
+          description: 'If true, show what would be deleted without deleting',
+          default: true
+        },
+        confirmationToken: {
+          type: 'string',
+          description: 'Token returned by the dry run; required when dryRun is false'
+        }
+      }
+    },
+    scope: SCOPES.DB_ADMIN,
+    requiresConfirmation: true,
+    handler: async (args) => {
+      const { dryRun = true } = args;
+      
+      if (dryRun) {
+        const query = `
+          SELECT COUNT(*) as orphaned_count
+          FROM process_requests pr
+          WHERE NOT EXISTS (
+            SELECT 1 FROM videos v WHERE v.id = pr.video_id
+          )
+        `;
+        const result = await queryDatabase(query, [], env);
+        return { dryRun: true, orphanedRequests: result[0].orphaned_count };
+      } else {
+        const deleteQuery = `
+          DELETE FROM process_requests
+          WHERE NOT EXISTS (
+            SELECT 1 FROM videos v WHERE v.id = process_requests.video_id
+          )
+          RETURNING id, video_id, operation
+        `;
+        const deleted = await queryDatabase(deleteQuery, [], env);
+        return { deleted: deleted.length, requests: deleted };
+      }
+    }
+  },
+  {
+    name: `${prefix}_db_retryAllFailed`,
+    description: `Retry all failed jobs matching criteria from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        operation: {
+          type: 'string',
+          description: 'Specific operation to retry (optional)'
+        },
+        errorPattern: {
+          type: 'string',
+          description: 'Error message pattern to match (optional)'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of jobs to retry',
+          default: 10
+        }
+      }
+    },
+    scope: SCOPES.DB_WRITE,
+    handler: async (args) => {
+      const { errorPattern, limit = 10 } = args;
+      let conditions = ['pr.status = \'failed\''];
+      let params = [];
+      let paramCount = 0;
+      
+      if (errorPattern) {
+        paramCount++;
+        conditions.push(`pr.failure_reason LIKE $${paramCount}`);
+        params.push(`%${errorPattern}%`);
+      }
+      
+      paramCount++;
+      params.push(limit);
+      
+      const updateQuery = `
+        UPDATE process_requests pr
+        SET 
+          status = 'pending',
+          retry_count = retry_count + 1,
+          failure_reason = NULL,
+          updated_at = NOW()
+        WHERE pr.id IN (
+          SELECT id
+          FROM process_requests
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY updated_at DESC
+          LIMIT $${paramCount}
+        )
+        RETURNING pr.id, pr.video_id, pr.retry_count
+      `;
+      
+      const retried = await queryDatabase(updateQuery, params, env);
+      return { retried: retried.length, jobs: retried };
+    }
+  },
+  {
+    name: `${prefix}_db_retryJob`,
+    description: `Retry a failed processing job from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: {
+          type: 'string',
+          description: 'Process request ID to retry',
+          required: true
+        }
+      },
+      required: ['jobId']
+    },
+    scope: SCOPES.DB_WRITE,
+    handler: async (args) => {
+      const { jobId } = args;
+      if (!jobId) {
+        throw new ToolInputError('Missing required parameter: jobId');
+      }
+      
+      const query = `
+        UPDATE process_requests
+        SET 
+          status = 'pending',
+          retry_count = retry_count + 1,
+          failure_reason = NULL,
+          updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `;
+      return await queryDatabase(query, [jobId], env);
+    }
+  },
+  {
+    name: `${prefix}_db_updateVideoStatus`,
+    description: `Update video processing status in ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        videoId: {
+          type: 'string',
+          description: 'Video ID',
+          required: true
+        },
+        status: {
+          type: 'string',
+          description: 'New status',
+          enum: ['pending', 'processing', 'completed', 'failed'],
+          required: true
+        }
+      },
+      required: ['videoId', 'status']
+    },
+    scope: SCOPES.DB_WRITE,
+    handler: async (args) => {
+      const { videoId, status } = args;
+      if (!videoId || !status) {
+        throw new ToolInputError('Missing required parameters: videoId and status');
+      }
+      
+      // Both updates commit together or not at all
+      const { result, transaction } = await withTransaction(env, async (query) => {
+        const video = await query(`
+          UPDATE videos
+          SET 
+            updated_at = NOW()
+          WHERE id = $1
+          RETURNING id, yt_id, title, updated_at
+        `, [videoId]);
+        
+        // Also update process request if exists
+        const pr = await query(`
+          UPDATE process_requests
+          SET 
+            status = $2,
+            updated_at = NOW()
+          WHERE video_id = $1
+          RETURNING *
+        `, [videoId, status]);
+        
+        return { video: video[0], processRequest: pr[0] };
+      });
+      
+      return { ...result, transaction };
+    }
+  },
+  {
+    name: `${prefix}_db_listAnonymousUsers`,
+    description: `List anonymous users (users with UUID-based emails) from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'number',
+          description: 'Number of users to return',
+          default: 100
+        }
+      }
+    },
+    scope: SCOPES.DB_READ,
+    handler: async (args) => {
+      const { limit = 100 } = args;
+      
+      const query = `
+        SELECT 
+          u.id,
+          u.email,
+          u.credits,
+          COUNT(DISTINCT pr.id) as process_request_count,
+          COUNT(DISTINCT pr.video_id) as unique_videos_processed,
+          COUNT(CASE WHEN pr.status = 'completed' THEN 1 END) as completed_requests,
+          COUNT(CASE WHEN pr.status = 'failed' THEN 1 END) as failed_requests,
+          MIN(pr.inserted_at) as first_request,
+          MAX(pr.inserted_at) as last_request
+        FROM users u
+        LEFT JOIN process_requests pr ON pr.user_id = u.id
+        WHERE u.email LIKE 'user_%@%'
+        GROUP BY u.id, u.email, u.credits
+        ORDER BY u.inserted_at DESC
+        LIMIT $1
+      `;
+      
+      const users = await queryDatabase(query, [limit], env);
+      return users;
+    }
+  },
+  {
+    name: `${prefix}_db_deleteAnonymousUsers`,
+    description: `Delete anonymous users and all their associated data from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        userIds: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Array of user IDs to delete'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'If true, show what would be deleted without deleting',
+          default: true
+        },
+        confirmationToken: {
+          type: 'string',
+          description: 'Token returned by the dry run; required when dryRun is false'
+        }
+      }
+    },
+    scope: SCOPES.DB_ADMIN,
+    requiresConfirmation: true,
+    handler: async (args, context) => {
+      const { userIds, dryRun = true } = args;
+      let targetUserIds = userIds;
+      
+      if (!targetUserIds || targetUserIds.length === 0) {
+        // If no user IDs specified, find all anonymous users
+        const findQuery = `
+          SELECT id FROM users 
+          WHERE email LIKE 'user_%@%'
+        `;
+        const anonymousUsers = await queryDatabase(findQuery, [], env);
+        targetUserIds = anonymousUsers.map(u => u.id);
+      }
+      
+      if (dryRun) {
+        // Show what would be deleted
+        const infoQuery = `
+          SELECT 
+            u.id,
+            u.email,
+            COUNT(DISTINCT pr.id) as process_requests_to_delete,
+            COUNT(DISTINCT v.id) as videos_to_delete
+          FROM users u
+          LEFT JOIN process_requests pr ON pr.user_id = u.id
+          LEFT JOIN videos v ON v.id = pr.video_id
+          WHERE u.id = ANY($1)
+          GROUP BY u.id, u.email
+        `;
+        const info = await queryDatabase(infoQuery, [targetUserIds], env);
+        return { dryRun: true, wouldDelete: info };
+      } else {
+        // Videos and users are deleted in one transaction so a failure
+        // cannot leave users without their videos or orphaned videos behind
+        const { result, transaction } = await withArchivedTransaction(env, archive, async (query, snapshot) => {
+          const videoTargets = await query(`
+            SELECT DISTINCT video_id AS id
+            FROM process_requests 
+            WHERE user_id = ANY($1) AND video_id IS NOT NULL
+          `, [targetUserIds]);
+          const archived = await snapshot({
+            env,
+            tool: `${prefix}_db_deleteAnonymousUsers`,
+            context,
+            userIds: targetUserIds,
+            videoIds: videoTargets.map(video => video.id)
+          });
+          
+          // Deleting videos cascades to their process_requests
+          const deletedVideos = await query(`
+            DELETE FROM videos 
+            WHERE id = ANY($1)
+            RETURNING id, yt_id, title
+          `, [videoTargets.map(video => video.id)]);
+          
+          // Delete users
+          const deletedUsers = await query(`
+            DELETE FROM users 
+            WHERE id = ANY($1)
+            RETURNING id, email
+          `, [targetUserIds]);
+          
+          return { deleted: { users: deletedUsers, videos: deletedVideos }, archived };
+        });
+        
+        return { 
+          dryRun: false, 
+          deleted: result.deleted,
+          archive: result.archived,
+          transaction
+        };
+      }
+    }
+  },
+  {
+    name: `${prefix}_db_deleteUserById`,
+    description: `Delete a specific user and all associated data by user ID from ${env}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        userId: {
+          type: 'string',
+          description: 'User ID to delete',
+          required: true
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'If true, show what would be deleted without deleting',
+          default: true
+        },
+        confirmationToken: {
+          type: 'string',
+          description: 'Token returned by the dry run; required when dryRun is false'
+        }
+      },
+      required: ['userId']
+    },
+    scope: SCOPES.DB_ADMIN,
+    requiresConfirmation: true,
+    handler: async (args, context) => {
+      const { userId, dryRun = true } = args;
+      
+      if (!userId) {
+        throw new ToolInputError('Missing required parameter: userId');
+      }
+      
+      if (dryRun) {
+        // Show what would be deleted
+        const infoQuery = `
+          SELECT 
+            u.id,
+            u.email,
+            u.credits,
+            COUNT(DISTINCT pr.id) as process_requests_to_delete,
+            COUNT(DISTINCT v.id) as videos_to_delete
+          FROM users u
+          LEFT JOIN process_requests pr ON pr.user_id = u.id
+          LEFT JOIN videos v ON v.id = pr.video_id
+          WHERE u.id = $1
+          GROUP BY u.id, u.email, u.credits
+        `;
+        const info = await queryDatabase(infoQuery, [userId], env);
+        return { dryRun: true, wouldDelete: info[0] || null };
+      } else {
+        // The user and their videos are deleted in one transaction
+        const { result, transaction } = await withArchivedTransaction(env, archive, async (query, snapshot) => {
+          const videoTargets = await query(`
+            SELECT DISTINCT video_id AS id
+            FROM process_requests 
+            WHERE user_id = $1 AND video_id IS NOT NULL
+          `, [userId]);
+          const archived = await snapshot({
+            env,
+            tool: `${prefix}_db_deleteUserById`,
+            context,
+            userIds: [userId],
+            videoIds: videoTargets.map(video => video.id)
+          });
+          
+          // Deleting videos cascades to their process_requests
+          const deletedVideos = await query(`
+            DELETE FROM videos 
+            WHERE id = ANY($1)
+            RETURNING id, yt_id, title
+          `, [videoTargets.map(video => video.id)]);
+          
+          // Delete user
+          const deletedUser = await query(`
+            DELETE FROM users 
+            WHERE id = $1
+            RETURNING id, email, credits
+          `, [userId]);
+          
+          return { deleted: { user: deletedUser[0] || null, videos: deletedVideos }, archived };
+        });
+        
+        return { 
+          dryRun: false, 
+          deleted: result.deleted,
+          archive: result.archived,
+          transaction
+        };
+      }
+    }
+  },
+  {
+    name: `${prefix}_db_restoreDeleted`,
+    description: `Restore users, videos and process requests removed by a delete tool from the deletion archive of ${env}. Omit archiveId to list restorable archives.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        archiveId: {
+          type: 'string',
+          description: 'Archive ID returned by the delete tool (omit to list archives)'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'If true, show what would be restored without restoring',
+          default: true
+        }
+      }
+    },
+    scope: SCOPES.DB_ADMIN,
+    handler: async (args, context) => {
+      const { archiveId, dryRun = true } = args;
+      
+      if (!archiveId) {
+        return { retentionDays: archive.retentionDays, archives: await archive.list(env) };
+      }
+      
+      const entry = await archive.load(archiveId, env);
+      
+      if (dryRun) {
+        // Rows whose ID exists again would make the restore fail
+        const conflicts = {};
+        for (const table of ARCHIVED_TABLES) {
+          const ids = (entry.rows[table] || []).map(row => row.id);
+          if (ids.length === 0) continue;
+          const existing = await queryDatabase(`SELECT id FROM ${table} WHERE id = ANY($1)`, [ids], env);
+          if (existing.length > 0) {
+            conflicts[table] = existing.map(row => row.id);
+          }
+        }
+        return {
+          dryRun: true,
+          archiveId,
+          deletedAt: entry.deletedAt,
+          deletedBy: entry.caller,
+          expiresAt: entry.expiresAt,
+          wouldRestore: entry.counts,
+          conflicts
+        };
+      }
+      
+      const { result, transaction } = await withTransaction(env, async (query) => {
+        const restored = {};
+        // Parents before children so foreign keys hold
+        for (const table of ARCHIVED_TABLES) {
+          const rows = entry.rows[table] || [];
+          if (rows.length === 0) continue;
+          restored[table] = await query(`
+            INSERT INTO ${table}
+            SELECT * FROM json_populate_recordset(NULL::${table}, $1)
+            RETURNING id
+          `, [JSON.stringify(rows)]);
+        }
+        return restored;
+      });
+      await archive.markRestored(archiveId, context.auth?.clientId || null);
+      
+      return {
+        dryRun: false,
+        archiveId,
+        restored: result,
+        transaction
+      };
+    }
+  }
+];
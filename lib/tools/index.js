@@ -0,0 +1,61 @@
+import { ENVIRONMENTS, isDatabaseConfigured, resolveToolName, toolNameFor } from '../environments.js';
+import { createToolRegistry } from '../tool-registry.js';
+import { createConfirmationTokens } from '../confirmation.js';
+import { createDeletionArchive } from '../deletion-archive.js';
+import { loadVideoPipeline } from '../video-timeline.js';
+import { loadErrorRules } from '../error-fingerprint.js';
+import { createToolsForDataset } from './logs-tools.js';
+import { createDatabaseTools } from './database-tools.js';
+import { createAuditTools } from './audit-tools.js';
+import { createInvestigationTools } from './investigation-tools.js';
+import { createComparisonTools } from './comparison-tools.js';
+
+// Map any accepted tool name spelling to its advertised name
+function canonicalToolName(name) {
+  const resolved = resolveToolName(name);
+  return resolved ? toolNameFor(resolved.env, resolved.family, resolved.tool) : name;
+}
+
+// Build the registry holding the logs and database tools of every environment,
+// plus the environment-independent tools
+export function createEnvironmentToolRegistry({
+  auditLog,
+  confirmations = createConfirmationTokens(),
+  archive = createDeletionArchive(),
+  pipeline = loadVideoPipeline(),
+  errorRules = loadErrorRules()
+} = {}) {
+  const registry = createToolRegistry({ resolveName: canonicalToolName, auditLog, confirmations });
+
+  for (const [envName, env] of Object.entries(ENVIRONMENTS)) {
+    registry.register(createToolsForDataset(env.dataset, env.logsPrefix, {
+      database: isDatabaseConfigured(envName) ? env.database : null,
+      pipeline,
+      errorRules
+    }), {
+      listed: env.listed,
+      environment: envName
+    });
+    // Database tools are only advertised when the environment has a database
+    registry.register(createDatabaseTools(env.database, env.dbPrefix, { archive }), {
+      listed: env.listed && isDatabaseConfigured(envName),
+      environment: envName
+    });
+  }
+
+  // Cross-source tools take the environment as an argument
+  registry.register(createInvestigationTools(), {
+    listed: Object.keys(ENVIRONMENTS).some(isDatabaseConfigured)
+  });
+  // Advertised only when every environment's database tools can run, as
+  // production tools themselves are unlisted
+  registry.register(createComparisonTools(registry), {
+    listed: Object.keys(ENVIRONMENTS).every(isDatabaseConfigured)
+  });
+
+  if (auditLog) {
+    registry.register(createAuditTools(auditLog));
+  }
+
+  return registry;
+}
@@ -0,0 +1,221 @@
+import { logsHelpers } from '../axiom.js';
+import { queryDatabase } from '../database.js';
+import { ENVIRONMENTS, isDatabaseConfigured } from '../environments.js';
+import { ToolInputError, ToolPermissionError } from '../errors.js';
+import { rowId } from '../log-cursor.js';
+import { isAtLeast } from '../log-levels.js';
+import { SCOPES, hasScope } from '../scopes.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// The process request asked for: by id, or for a yt_id the most recent failed
+// request of that video (the most recent request when none failed)
+async function findProcessRequest(database, { processRequestId, ytId }) {
+  const rows = processRequestId
+    ? await queryDatabase('SELECT * FROM process_requests WHERE id::text = $1', [String(processRequestId)], database)
+    : await queryDatabase(`
+        SELECT pr.*
+        FROM process_requests pr
+        JOIN videos v ON v.id = pr.video_id
+        WHERE v.yt_id = $1
+        ORDER BY (pr.status = 'failed') DESC, pr.updated_at DESC
+        LIMIT 1
+      `, [ytId], database);
+  if (rows.length === 0) {
+    throw new ToolInputError(processRequestId
+      ? `No process request ${processRequestId}`
+      : `No process request for yt_id ${ytId}`);
+  }
+  return rows[0];
+}
+
+async function loadVideoAndUser(database, processRequest) {
+  const [videos, users] = await Promise.all([
+    processRequest.video_id
+      ? queryDatabase(`
+          SELECT
+            id,
+            yt_id,
+            title,
+            duration,
+            language,
+            current_version,
+            audio_url IS NOT NULL as has_audio,
+            frames_extracted,
+            transcript IS NOT NULL as has_transcript,
+            embeddings_generated,
+            inserted_at
+          FROM videos
+          WHERE id = $1
+        `, [processRequest.video_id], database)
+      : [],
+    processRequest.user_id
+      ? queryDatabase('SELECT id, email, credits, inserted_at FROM users WHERE id = $1', [processRequest.user_id], database)
+      : []
+  ]);
+  return { video: videos[0] || null, user: users[0] || null };
+}
+
+// Up to `limit` log entries of a job nearest to `anchor`, oldest first. The
+// minutes before and after the anchor are read separately, each starting at
+// the anchor, so a busy job's early entries cannot crowd out the ones around
+// its failure.
+async function logsAroundAnchor(dataset, ids, { anchor, before, after, limit }) {
+  const at = new Date(anchor).toISOString();
+  const [earlier, later] = await Promise.all([
+    before > 0
+      ? logsHelpers.getLogsByFields(dataset, ids, { from: new Date(anchor - before).toISOString(), to: at, limit, order: 'desc' })
+      : null,
+    after > 0
+      ? logsHelpers.getLogsByFields(dataset, ids, { from: at, to: new Date(anchor + after).toISOString(), limit, order: 'asc' })
+      : null
+  ]);
+
+  // Both lists start at the anchor; take the nearest entry of either side
+  const candidates = [...(earlier?.logs || []), ...(later?.logs || [])]
+    .sort((a, b) => Math.abs(new Date(a.time) - anchor) - Math.abs(new Date(b.time) - anchor));
+  const seen = new Set();
+  const logs = [];
+  for (const log of candidates) {
+    const id = rowId(log);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    logs.push(log);
+  }
+
+  return {
+    logs: logs.slice(0, limit).sort((a, b) => new Date(a.time) - new Date(b.time)),
+    more: logs.length > limit || Boolean(earlier?.nextCursor || later?.nextCursor),
+    window: {
+      from: earlier?.timeRange.from || at,
+      to: later?.timeRange.to || at
+    }
+  };
+}
+
+// Database changes and log entries of one job, oldest first
+function incidentTimeline({ processRequest, video, logs }) {
+  const events = [];
+  if (video?.inserted_at) {
+    events.push({ time: video.inserted_at, source: 'postgres', event: 'video_created', videoId: video.id });
+  }
+  events.push({ time: processRequest.inserted_at, source: 'postgres', event: 'process_request_created', operation: processRequest.operation });
+  events.push({
+    time: processRequest.updated_at,
+    source: 'postgres',
+    event: `process_request_${processRequest.status}`,
+    retryCount: processRequest.retry_count,
+    failureReason: processRequest.failure_reason
+  });
+  for (const log of logs) {
+    events.push({ time: log.time, source: 'axiom', level: log.level, message: log.message, fields: log.fields });
+  }
+  return events
+    .filter(event => event.time)
+    .sort((a, b) => new Date(a.time) - new Date(b.time));
+}
+
+// Tools that combine the database and the logs of one environment
+export const createInvestigationTools = () => [
+  {
+    name: 'investigate_failedJob',
+    description: 'Investigate a failed processing job: its process_requests row, video and user from Postgres plus the Axiom logs around its last update, merged into one time-ordered incident view',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        processRequestId: {
+          type: 'string',
+          description: 'Process request ID'
+        },
+        ytId: {
+          type: 'string',
+          description: 'YouTube ID; investigates the most recent failed process request of that video'
+        },
+        environment: {
+          type: 'string',
+          enum: Object.keys(ENVIRONMENTS),
+          description: 'Environment to investigate',
+          default: 'delicious-sienna-fluke'
+        },
+        minutesBefore: {
+          type: 'number',
+          description: 'Minutes of logs before the request was last updated',
+          default: 30
+        },
+        minutesAfter: {
+          type: 'number',
+          description: 'Minutes of logs after the request was last updated',
+          default: 5
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of log entries',
+          default: 200
+        }
+      }
+    },
+    scope: SCOPES.DB_READ,
+    handler: async (args, context = {}) => {
+      const {
+        processRequestId,
+        ytId,
+        environment = 'delicious-sienna-fluke',
+        minutesBefore = 30,
+        minutesAfter = 5,
+        limit = 200
+      } = args;
+      if (!processRequestId && !ytId) {
+        throw new ToolInputError('Either processRequestId or ytId is required');
+      }
+      const env = ENVIRONMENTS[environment];
+      if (!env) {
+        throw new ToolInputError(`Unknown environment: ${environment}`);
+      }
+      if (!isDatabaseConfigured(environment)) {
+        throw new ToolInputError(`Environment ${environment} has no database configured`);
+      }
+      // The tool requires db:read to be listed; the logs need logs:read too
+      if (!hasScope(context.auth?.scopes, SCOPES.LOGS_READ)) {
+        throw new ToolPermissionError('investigate_failedJob', SCOPES.LOGS_READ);
+      }
+      for (const [name, value] of Object.entries({ minutesBefore, minutesAfter })) {
+        if (!Number.isFinite(value) || value < 0) {
+          throw new ToolInputError(`${name} must be a non-negative number`);
+        }
+      }
+
+      const processRequest = await findProcessRequest(env.database, { processRequestId, ytId });
+      const { video, user } = await loadVideoAndUser(env.database, processRequest);
+
+      const page = await logsAroundAnchor(env.dataset, {
+        process_request_id: processRequest.id,
+        video_id: processRequest.video_id,
+        yt_id: video?.yt_id
+      }, {
+        anchor: new Date(processRequest.updated_at || processRequest.inserted_at).getTime(),
+        before: minutesBefore * MINUTE_MS,
+        after: minutesAfter * MINUTE_MS,
+        limit
+      });
+
+      const errors = page.logs.filter(log => isAtLeast(log.level, 'error'));
+      return {
+        environment,
+        summary: {
+          status: processRequest.status,
+          failureReason: processRequest.failure_reason,
+          retryCount: processRequest.retry_count,
+          logEntries: page.logs.length,
+          errorEntries: errors.length,
+          firstError: errors[0] ? { time: errors[0].time, message: errors[0].message } : null,
+          moreLogs: page.more
+        },
+        processRequest,
+        video,
+        user,
+        logWindow: page.window,
+        timeline: incidentTimeline({ processRequest, video, logs: page.logs })
+      };
+    }
+  }
+];
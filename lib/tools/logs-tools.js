@@ -0,0 +1,381 @@
+import { logsHelpers } from '../axiom.js';
+import { SCOPES, hasScope } from '../scopes.js';
+import { LOGS_QUERY_MAX_ROWS, LOGS_QUERY_MAX_SPAN_HOURS } from '../config.js';
+import { LEVELS } from '../log-levels.js';
+import { loadProcessRequests, mergeProcessRequests } from '../video-timeline.js';
+
+// Time window accepted by every log tool (see time-range.js)
+const TIME_RANGE_PROPERTIES = {
+  from: {
+    type: 'string',
+    description: 'Start of the window: ISO timestamp, relative ("7d", "36h") or "since 2025-06-30" (default: 24 hours before to)'
+  },
+  to: {
+    type: 'string',
+    description: 'End of the window: ISO timestamp or relative ("1h" = one hour ago) (default: now)'
+  }
+};
+
+// Paging arguments of the log-listing tools
+const PAGE_PROPERTIES = {
+  limit: {
+    type: 'number',
+    description: 'Number of logs to return',
+    default: 100
+  },
+  cursor: {
+    type: 'string',
+    description: 'nextCursor from the previous page'
+  },
+  fields: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Only return these fields, e.g. ["_time", "message", "metadata.request_id"]'
+  },
+  minLevel: {
+    type: 'string',
+    enum: LEVELS,
+    description: 'Only return entries at this severity or above, as inferred from the level field or the message format'
+  }
+};
+
+// Define tools for both delicious-sienna-fluke and production. `database` is
+// the environment's database when it has one, `pipeline` the compiled video
+// pipeline model (see video-timeline.js) and `errorRules` the error
+// classification rules (see error-fingerprint.js).
+// Log-listing tools return { logs, nextCursor }; pass nextCursor back as
+// `cursor` to get the next page, `fields` to receive only those fields and
+// `minLevel` to skip entries below that severity.
+export const createToolsForDataset = (dataset, prefix, { database = null, pipeline, errorRules } = {}) => [
+  {
+    name: `${prefix}_recent`,
+    description: `Get recent logs from ${dataset}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...TIME_RANGE_PROPERTIES,
+        ...PAGE_PROPERTIES
+      }
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ limit, cursor, fields, minLevel, from, to }) => logsHelpers.getRecentLogs(dataset, { limit, cursor, fields, minLevel, from, to })
+  },
+  {
+    name: `${prefix}_search`,
+    description: `Search logs by text in ${dataset}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search query',
+          required: true
+        },
+        ...TIME_RANGE_PROPERTIES,
+        ...PAGE_PROPERTIES
+      },
+      required: ['query']
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ query, limit, cursor, fields, minLevel, from, to }) => logsHelpers.searchLogs(dataset, query, { limit, cursor, fields, minLevel, from, to })
+  },
+  {
+    name: `${prefix}_errors`,
+    description: `Get error logs only from ${dataset}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...TIME_RANGE_PROPERTIES,
+        ...PAGE_PROPERTIES,
+        minLevel: {
+          ...PAGE_PROPERTIES.minLevel,
+          default: 'error'
+        }
+      }
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ limit, cursor, fields, minLevel, from, to }) => logsHelpers.getErrorLogs(dataset, { limit, cursor, fields, minLevel, from, to })
+  },
+  {
+    name: `${prefix}_timeRange`,
+    description: `Get logs within time range from ${dataset}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: {
+          ...TIME_RANGE_PROPERTIES.from,
+          required: true
+        },
+        to: {
+          ...TIME_RANGE_PROPERTIES.to,
+          required: true
+        },
+        ...PAGE_PROPERTIES
+      },
+      required: ['from', 'to']
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ from, to, limit, cursor, fields, minLevel }) => logsHelpers.getLogsByTimeRange(dataset, from, to, { limit, cursor, fields, minLevel })
+  },
+  {
+    name: `${prefix}_byRequest`,
+    description: `Get all logs for a request ID from ${dataset}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        requestId: {
+          type: 'string',
+          description: 'Request ID to search for',
+          required: true
+        },
+        ...TIME_RANGE_PROPERTIES,
+        ...PAGE_PROPERTIES
+      },
+      required: ['requestId']
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ requestId, limit, cursor, fields, minLevel, from, to }) => logsHelpers.getLogsByRequestId(dataset, requestId, { limit, cursor, fields, minLevel, from, to })
+  },
+  {
+    name: `${prefix}_query`,
+    description: `Run an APL query against ${dataset}. The query must start with ['${dataset}'], may not use union/join/lookup/search/evaluate, returns at most ${LOGS_QUERY_MAX_ROWS} rows and covers at most ${LOGS_QUERY_MAX_SPAN_HOURS} hours`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        apl: {
+          type: 'string',
+          description: `APL query, e.g. ['${dataset}'] | where message contains "timeout" | summarize count() by bin(_time, 1h)`,
+          required: true
+        },
+        ...TIME_RANGE_PROPERTIES
+      },
+      required: ['apl']
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ apl, from, to }) => logsHelpers.runQuery(dataset, apl, { from, to })
+  },
+  {
+    name: `${prefix}_stats`,
+    description: `Get log statistics from ${dataset}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        hours: {
+          type: 'number',
+          description: 'Number of hours to analyze (ignored when from is set)',
+          default: 24
+        },
+        ...TIME_RANGE_PROPERTIES
+      }
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ hours = 24, from, to }) => logsHelpers.getLogStats(dataset, hours, { from, to })
+  },
+  {
+    name: `${prefix}_deleteBeforeDate`,
+    description: `Delete all logs before a specific date from ${dataset}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        date: {
+          type: 'string',
+          description: 'ISO date string (logs before this date will be deleted)',
+          required: true
+        }
+      },
+      required: ['date']
+    },
+    scope: SCOPES.LOGS_ADMIN,
+    handler: ({ date }) => logsHelpers.deleteLogsBeforeDate(dataset, date)
+  },
+  {
+    name: `${prefix}_getDatasetInfo`,
+    description: `Get information about the ${dataset} dataset`,
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: () => logsHelpers.getDatasetInfo(dataset)
+  },
+  {
+    name: `${prefix}_clearAll`,
+    description: `Clear all logs from the ${dataset} dataset. Run with dryRun first, then pass the returned confirmationToken with dryRun false`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dryRun: {
+          type: 'boolean',
+          description: 'If true, show what would be cleared without clearing',
+          default: true
+        },
+        confirmationToken: {
+          type: 'string',
+          description: 'Token returned by the dry run; required when dryRun is false'
+        }
+      }
+    },
+    scope: SCOPES.LOGS_ADMIN,
+    requiresConfirmation: true,
+    handler: async ({ dryRun = true }) => {
+      if (dryRun) {
+        const info = await logsHelpers.getDatasetInfo(dataset);
+        return { dryRun: true, wouldClear: { dataset, info } };
+      }
+      return await logsHelpers.clearAllLogs(dataset);
+    }
+  },
+  {
+    name: `${prefix}_logsByVideo`,
+    description: `Get all logs for a specific video from ${dataset}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        videoId: {
+          type: 'string',
+          description: 'Video ID (UUID) or YouTube ID to search for'
+        },
+        isYtId: {
+          type: 'boolean',
+          description: 'Set to true if videoId is a YouTube ID',
+          default: false
+        },
+        ...TIME_RANGE_PROPERTIES,
+        ...PAGE_PROPERTIES
+      },
+      required: ['videoId']
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ videoId, isYtId = false, limit, cursor, fields, minLevel, from, to }) => logsHelpers.getLogsByVideo(dataset, videoId, isYtId, { limit, cursor, fields, minLevel, from, to })
+  },
+  {
+    name: `${prefix}_logsByProcessRequest`,
+    description: `Get all logs for a specific process request from ${dataset}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        processRequestId: {
+          type: 'string',
+          description: 'Process request ID (UUID) to search for'
+        },
+        ...TIME_RANGE_PROPERTIES,
+        ...PAGE_PROPERTIES
+      },
+      required: ['processRequestId']
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ processRequestId, limit, cursor, fields, minLevel, from, to }) => logsHelpers.getLogsByProcessRequest(dataset, processRequestId, { limit, cursor, fields, minLevel, from, to })
+  },
+  {
+    name: `${prefix}_logsByUser`,
+    description: `Get recent logs for a specific user from ${dataset}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        userId: {
+          type: 'string',
+          description: 'User ID (UUID) to search for'
+        },
+        hours: {
+          type: 'number',
+          description: 'Number of hours to look back (ignored when from is set)',
+          default: 24
+        },
+        ...TIME_RANGE_PROPERTIES,
+        ...PAGE_PROPERTIES
+      },
+      required: ['userId']
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ userId, hours = 24, limit, cursor, fields, minLevel, from, to }) => logsHelpers.getLogsByUser(dataset, userId, hours, { limit, cursor, fields, minLevel, from, to })
+  },
+  {
+    name: `${prefix}_logsByBatch`,
+    description: `Get all logs for a specific batch operation from ${dataset}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        batchId: {
+          type: 'string',
+          description: 'Batch ID to search for'
+        },
+        ...TIME_RANGE_PROPERTIES,
+        ...PAGE_PROPERTIES
+      },
+      required: ['batchId']
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ batchId, limit, cursor, fields, minLevel, from, to }) => logsHelpers.getLogsByBatch(dataset, batchId, { limit, cursor, fields, minLevel, from, to })
+  },
+  {
+    name: `${prefix}_workerLogs`,
+    description: `Get worker pool activity logs from ${dataset}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workerType: {
+          type: 'string',
+          description: 'Worker type to filter by (youtube, anthropic, pinecone)',
+          enum: ['youtube', 'anthropic', 'pinecone']
+        },
+        hours: {
+          type: 'number',
+          description: 'Number of hours to look back (ignored when from is set)',
+          default: 1
+        },
+        ...TIME_RANGE_PROPERTIES,
+        ...PAGE_PROPERTIES
+      }
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ workerType, hours = 1, limit, cursor, fields, minLevel, from, to }) => logsHelpers.getWorkerLogs(dataset, workerType, hours, { limit, cursor, fields, minLevel, from, to })
+  },
+  {
+    name: `${prefix}_videoProcessingTimeline`,
+    description: `Get the processing timeline of a video from ${dataset}: per-stage durations, retries and unfinished stages, merged with its process_requests rows`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        videoId: {
+          type: 'string',
+          description: 'Video ID (UUID) or YouTube ID to analyze'
+        },
+        ...TIME_RANGE_PROPERTIES
+      },
+      required: ['videoId']
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: async ({ videoId, from, to }, context = {}) => {
+      const timeline = await logsHelpers.getVideoProcessingTimeline(dataset, videoId, { from, to }, pipeline);
+      // process_requests rows need a database and the db:read scope
+      if (!database || !hasScope(context.auth?.scopes, SCOPES.DB_READ)) {
+        timeline.processRequests = null;
+        return timeline;
+      }
+      try {
+        return mergeProcessRequests(timeline, await loadProcessRequests(database, videoId));
+      } catch (error) {
+        timeline.processRequests = null;
+        timeline.processRequestsError = error.message;
+        return timeline;
+      }
+    }
+  },
+  {
+    name: `${prefix}_failedOperations`,
+    description: `Get failed operations from ${dataset}, clustered by error fingerprint with counts, first/last seen, samples and affected IDs`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        hours: {
+          type: 'number',
+          description: 'Number of hours to analyze (ignored when from is set)',
+          default: 24
+        },
+        ...TIME_RANGE_PROPERTIES
+      }
+    },
+    scope: SCOPES.LOGS_READ,
+    handler: ({ hours = 24, from, to }) => logsHelpers.getFailedOperations(dataset, hours, { from, to }, errorRules)
+  }
+];
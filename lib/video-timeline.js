@@ -0,0 +1,261 @@
+import fs from 'node:fs';
+import { VIDEO_PIPELINE, VIDEO_PIPELINE_FILE } from './config.js';
+import { queryDatabase } from './database.js';
+import { isAtLeast } from './log-levels.js';
+
+// Model of the video processing pipeline behind videoProcessingTimeline.
+// Stages are listed in processing order. A log entry belongs to a stage when
+// its message matches one of the stage's `match` patterns or its parsed
+// `operation` (see log-parsing.js) is one of the stage's `operations`; when
+// several stages match, the last one wins, since later stages tend to mention
+// what earlier ones produced ("upserting embeddings to Pinecone").
+// The `start`, `finish` and `failure` patterns then tell what the entry
+// reports; entries at error level or above always count as failures. Every
+// pattern is a case-insensitive regular expression, and a stage may override
+// the pipeline-wide start/finish/failure patterns.
+export const DEFAULT_VIDEO_PIPELINE = {
+  start: '\\b(start(s|ed|ing)?|begin(s|ning)?|processing|running|downloading|extracting|transcribing|generating|upserting)\\b',
+  finish: '\\b(complete[ds]?|finish(ed|es)?|done|succeeded|successful(ly)?|uploaded|saved)\\b',
+  failure: '\\b(fail(s|ed|ure)?|error|exception|timed? ?out|crash(ed)?)\\b',
+  stages: [
+    { name: 'download', match: ['download', 'yt-dlp'], operations: ['download'] },
+    { name: 'audio_extraction', match: ['audio extraction', 'extract(ing|ed)? audio'], operations: ['audio_extraction', 'extract_audio'] },
+    { name: 'frame_extraction', match: ['frame extraction', 'extract(ing|ed)? frames'], operations: ['frame_extraction', 'extract_frames'] },
+    { name: 'transcription', match: ['transcri', 'whisper'], operations: ['transcription', 'transcribe'] },
+    { name: 'embeddings', match: ['embedding'], operations: ['embeddings', 'embed'] },
+    { name: 'pinecone_upsert', match: ['pinecone', 'upsert'], operations: ['pinecone_upsert', 'upsert'] }
+  ]
+};
+
+function compilePattern(source, where) {
+  if (typeof source !== 'string' || !source) {
+    throw new Error(`Invalid video pipeline configuration: ${where} must be a non-empty string`);
+  }
+  try {
+    return new RegExp(source, 'i');
+  } catch (error) {
+    throw new Error(`Invalid video pipeline configuration: ${where}: ${error.message}`);
+  }
+}
+
+// Validate a pipeline model and compile its patterns
+export function compileVideoPipeline(model) {
+  if (!model || !Array.isArray(model.stages) || model.stages.length === 0) {
+    throw new Error('Invalid video pipeline configuration: expected { "stages": [...] }');
+  }
+  const defaults = {
+    start: compilePattern(model.start ?? DEFAULT_VIDEO_PIPELINE.start, 'start'),
+    finish: compilePattern(model.finish ?? DEFAULT_VIDEO_PIPELINE.finish, 'finish'),
+    failure: compilePattern(model.failure ?? DEFAULT_VIDEO_PIPELINE.failure, 'failure')
+  };
+
+  const names = new Set();
+  const stages = model.stages.map((stage, index) => {
+    if (!stage || typeof stage.name !== 'string' || !stage.name) {
+      throw new Error(`Invalid video pipeline configuration: stage ${index} has no name`);
+    }
+    if (names.has(stage.name)) {
+      throw new Error(`Invalid video pipeline configuration: duplicate stage ${stage.name}`);
+    }
+    names.add(stage.name);
+    if (!Array.isArray(stage.match) && !Array.isArray(stage.operations)) {
+      throw new Error(`Invalid video pipeline configuration: stage ${stage.name} needs match patterns or operations`);
+    }
+    return {
+      name: stage.name,
+      match: (stage.match || []).map((source, i) => compilePattern(source, `${stage.name}.match[${i}]`)),
+      operations: new Set((stage.operations || []).map(operation => String(operation).toLowerCase())),
+      start: stage.start ? compilePattern(stage.start, `${stage.name}.start`) : defaults.start,
+      finish: stage.finish ? compilePattern(stage.finish, `${stage.name}.finish`) : defaults.finish,
+      failure: stage.failure ? compilePattern(stage.failure, `${stage.name}.failure`) : defaults.failure
+    };
+  });
+
+  return { stages };
+}
+
+// The configured pipeline (VIDEO_PIPELINE / VIDEO_PIPELINE_FILE), or the
+// built-in one
+export function loadVideoPipeline() {
+  let source = VIDEO_PIPELINE;
+  if (VIDEO_PIPELINE_FILE) {
+    source = fs.readFileSync(VIDEO_PIPELINE_FILE, 'utf8');
+  }
+  if (!source.trim()) {
+    return compileVideoPipeline(DEFAULT_VIDEO_PIPELINE);
+  }
+
+  let model;
+  try {
+    model = JSON.parse(source);
+  } catch (error) {
+    throw new Error(`Invalid video pipeline configuration: ${error.message}`);
+  }
+  return compileVideoPipeline(model);
+}
+
+function stageOf(entry, pipeline) {
+  const operation = entry.fields?.operation?.toLowerCase();
+  for (let i = pipeline.stages.length - 1; i >= 0; i--) {
+    const stage = pipeline.stages[i];
+    if ((operation && stage.operations.has(operation)) || stage.match.some(pattern => pattern.test(entry.message))) {
+      return stage;
+    }
+  }
+  return null;
+}
+
+function eventOf(entry, stage) {
+  if (isAtLeast(entry.level, 'error') || stage.failure.test(entry.message)) return 'failure';
+  if (stage.finish.test(entry.message)) return 'finish';
+  if (stage.start.test(entry.message)) return 'start';
+  return null;
+}
+
+const elapsed = (start, end) => (start && end ? new Date(end) - new Date(start) : null);
+
+// Fold the start/finish/failure events of one stage into attempts. A start
+// while an attempt is still open means the stage was retried; a finish or
+// failure without a start still counts as an attempt.
+function foldAttempts(events) {
+  const attempts = [];
+  let open = null;
+  for (const { type, time, message } of events) {
+    const last = attempts[attempts.length - 1];
+    if (type === 'start') {
+      if (open) open.status = 'retried';
+      open = { status: 'running', startedAt: time, endedAt: null };
+      attempts.push(open);
+    } else if (type === 'finish') {
+      if (open) {
+        Object.assign(open, { status: 'completed', endedAt: time });
+        open = null;
+      } else if (last?.status === 'completed') {
+        // Several completion messages for one attempt
+        last.endedAt = time;
+      } else {
+        attempts.push({ status: 'completed', startedAt: null, endedAt: time });
+      }
+    } else if (open) {
+      Object.assign(open, { status: 'failed', endedAt: time, error: message });
+      open = null;
+    } else if (last?.status !== 'failed') {
+      attempts.push({ status: 'failed', startedAt: null, endedAt: time, error: message });
+    }
+  }
+  for (const attempt of attempts) {
+    attempt.durationMs = elapsed(attempt.startedAt, attempt.endedAt);
+  }
+  return attempts;
+}
+
+function summarizeStage(name, events) {
+  const attempts = foldAttempts(events);
+  const final = attempts[attempts.length - 1];
+  let status = 'not_seen';
+  if (final) {
+    status = final.status === 'running' ? 'unfinished' : final.status;
+  }
+  return {
+    name,
+    status,
+    attempts: attempts.length,
+    retries: Math.max(0, attempts.length - 1),
+    startedAt: attempts.find(attempt => attempt.startedAt)?.startedAt || null,
+    endedAt: final?.endedAt || null,
+    // Duration of the final attempt, and from the first start to the end of
+    // the final attempt including retries
+    durationMs: final?.durationMs ?? null,
+    totalDurationMs: elapsed(attempts.find(attempt => attempt.startedAt)?.startedAt, final?.endedAt),
+    error: final?.status === 'failed' ? final.error : undefined,
+    history: attempts.length > 1 ? attempts : undefined
+  };
+}
+
+// Per-stage view of a video's log entries (normalized, in time order).
+// Stages end up completed, failed, unfinished (started, never finished),
+// seen (entries without start/finish/failure markers) or not_seen.
+export function buildStageTimeline(logs, pipeline) {
+  const events = new Map(pipeline.stages.map(stage => [stage.name, []]));
+  let unassigned = 0;
+
+  for (const entry of logs) {
+    const stage = stageOf(entry, pipeline);
+    if (!stage) {
+      unassigned++;
+      continue;
+    }
+    events.get(stage.name).push({ type: eventOf(entry, stage), time: entry.time, message: entry.message });
+  }
+
+  const stages = pipeline.stages.map(({ name }) => {
+    const stage = summarizeStage(name, events.get(name).filter(event => event.type));
+    // Only entries without start/finish/failure markers
+    if (stage.status === 'not_seen' && events.get(name).length > 0) {
+      stage.status = 'seen';
+    }
+    return stage;
+  });
+
+  return {
+    stages,
+    unfinishedStages: stages.filter(stage => stage.status === 'unfinished').map(stage => stage.name),
+    failedStages: stages.filter(stage => stage.status === 'failed').map(stage => stage.name),
+    unassignedEntries: unassigned
+  };
+}
+
+// process_requests rows of a video, by id or YouTube ID
+export async function loadProcessRequests(database, videoId) {
+  return await queryDatabase(`
+    SELECT
+      pr.id,
+      pr.user_id,
+      pr.operation,
+      pr.status,
+      pr.failure_reason,
+      pr.retry_count,
+      pr.inserted_at,
+      pr.updated_at
+    FROM process_requests pr
+    JOIN videos v ON v.id = pr.video_id
+    WHERE v.id::text = $1 OR v.yt_id = $1
+    ORDER BY pr.inserted_at
+  `, [videoId], database);
+}
+
+// Add the video's process requests to a timeline and list where they
+// disagree with the logs. A truncated timeline is missing its later entries,
+// so it is not compared.
+export function mergeProcessRequests(timeline, rows) {
+  timeline.processRequests = rows.map(row => ({
+    id: row.id,
+    userId: row.user_id,
+    operation: row.operation,
+    status: row.status,
+    failureReason: row.failure_reason,
+    retryCount: row.retry_count,
+    insertedAt: row.inserted_at,
+    updatedAt: row.updated_at,
+    durationMs: elapsed(row.inserted_at, row.updated_at)
+  }));
+
+  const mismatches = [];
+  if (timeline.truncated) {
+    timeline.mismatches = mismatches;
+    return timeline;
+  }
+  const latest = timeline.processRequests[timeline.processRequests.length - 1];
+  if (latest?.status === 'completed' && timeline.unfinishedStages.length + timeline.failedStages.length > 0) {
+    mismatches.push(`Process request ${latest.id} is completed, but the logs show stages that did not finish: ${[...timeline.failedStages, ...timeline.unfinishedStages].join(', ')}`);
+  }
+  if (latest?.status === 'failed' && timeline.failedStages.length === 0) {
+    mismatches.push(`Process request ${latest.id} failed${latest.failureReason ? ` (${latest.failureReason})` : ''}, but no stage failure was logged in this time range`);
+  }
+  const loggedRetries = timeline.stages.reduce((sum, stage) => sum + stage.retries, 0);
+  if (latest && latest.retryCount > 0 && loggedRetries === 0) {
+    mismatches.push(`Process request ${latest.id} was retried ${latest.retryCount} time(s), but the logs show no retried stage in this time range`);
+  }
+  timeline.mismatches = mismatches;
+  return timeline;
+}
@@ -7,6 +7,7 @@ BASE_URL="https://axiom-mcp-server.fly.dev/api/mcp"
 echo -e "\n1. logs_search without query (required):"
 curl -s -X POST "$BASE_URL/logs_search" \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $MCP_API_KEY" \
   -d '{}' \
   -o /tmp/response.json \
   -w "HTTP %{http_code}\n"
@@ -15,6 +16,7 @@ cat /tmp/response.json | jq -r '.error // .' | head -5
 echo -e "\n2. logs_timeRange without from/to (required):"
 curl -s -X POST "$BASE_URL/logs_timeRange" \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $MCP_API_KEY" \
   -d '{}' \
   -o /tmp/response.json \
   -w "HTTP %{http_code}\n"
@@ -23,6 +25,7 @@ cat /tmp/response.json | jq -r '.error // .' | head -5
 echo -e "\n3. logs_byRequest without requestId (required):"
 curl -s -X POST "$BASE_URL/logs_byRequest" \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $MCP_API_KEY" \
   -d '{}' \
   -o /tmp/response.json \
   -w "HTTP %{http_code}\n"
@@ -31,6 +34,7 @@ cat /tmp/response.json | jq -r '.error // .' | head -5
 echo -e "\n4. logs_deleteBeforeDate without date (required):"
 curl -s -X POST "$BASE_URL/logs_deleteBeforeDate" \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $MCP_API_KEY" \
   -d '{}' \
   -o /tmp/response.json \
   -w "HTTP %{http_code}\n"
@@ -39,6 +43,7 @@ cat /tmp/response.json | jq -r '.error // .' | head -5
 echo -e "\n5. prod_logs_search without query (required):"
 curl -s -X POST "$BASE_URL/prod_logs_search" \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $MCP_API_KEY" \
   -d '{}' \
   -o /tmp/response.json \
   -w "HTTP %{http_code}\n"
@@ -47,6 +52,7 @@ cat /tmp/response.json | jq -r '.error // .' | head -5
 echo -e "\n6. prod_logs_timeRange without from/to (required):"
 curl -s -X POST "$BASE_URL/prod_logs_timeRange" \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $MCP_API_KEY" \
   -d '{}' \
   -o /tmp/response.json \
   -w "HTTP %{http_code}\n"
@@ -55,6 +61,7 @@ cat /tmp/response.json | jq -r '.error // .' | head -5
 echo -e "\n7. prod_logs_byRequest without requestId (required):"
 curl -s -X POST "$BASE_URL/prod_logs_byRequest" \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $MCP_API_KEY" \
   -d '{}' \
   -o /tmp/response.json \
   -w "HTTP %{http_code}\n"
@@ -63,6 +70,7 @@ cat /tmp/response.json | jq -r '.error // .' | head -5
 echo -e "\n8. prod_logs_deleteBeforeDate without date (required):"
 curl -s -X POST "$BASE_URL/prod_logs_deleteBeforeDate" \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $MCP_API_KEY" \
   -d '{}' \
   -o /tmp/response.json \
   -w "HTTP %{http_code}\n"
@@ -6,24 +6,28 @@ echo "Testing all deployed API endpoints..."
 echo -e "\n1. logs_recent:"
 curl -s -X POST "https://axiom-mcp-server.fly.dev/api/mcp/logs_recent" \
   -H "Content-Type: application/json" \
-  -d '{"limit": 2}' | jq '. | length'
+  -H "Authorization: Bearer $MCP_API_KEY" \
+  -d '{"limit": 2}' | jq '.logs | length'
 
 # Test 2: Search
 echo -e "\n2. logs_search:"
 curl -s -X POST "https://axiom-mcp-server.fly.dev/api/mcp/logs_search" \
   -H "Content-Type: application/json" \
-  -d '{"query": "test", "limit": 2}' | jq '. | length'
+  -H "Authorization: Bearer $MCP_API_KEY" \
+  -d '{"query": "test", "limit": 2}' | jq '.logs | length'
 
 # Test 3: Errors
 echo -e "\n3. logs_errors:"
 curl -s -X POST "https://axiom-mcp-server.fly.dev/api/mcp/logs_errors" \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $MCP_API_KEY" \
   -d '{"limit": 2}' | jq
 
 # Test 4: Stats
 echo -e "\n4. logs_stats:"
 curl -s -X POST "https://axiom-mcp-server.fly.dev/api/mcp/logs_stats" \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $MCP_API_KEY" \
   -d '{"hours": 1}' | jq '. | type'
 
 echo -e "\nAll API tests completed\!"
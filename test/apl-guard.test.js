@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { guardRawQuery } from '../lib/apl-guard.js';
+import { ToolInputError } from '../lib/errors.js';
+
+const options = { dataset: 'delicious-sienna-fluke', maxRows: 1000 };
+const guard = (apl) => guardRawQuery(apl, options);
+const rejects = (apl, message) => assert.throws(() => guard(apl), (error) =>
+  error instanceof ToolInputError && message.test(error.message));
+
+test('caps a valid query on a line of its own', () => {
+  assert.equal(
+    guard(`['delicious-sienna-fluke'] | where message contains "timeout"`),
+    `['delicious-sienna-fluke'] | where message contains "timeout"\n| limit 1000`
+  );
+});
+
+test('requires the query to start with the dataset', () => {
+  rejects(`['prod'] | count`, /must start with the dataset/);
+  rejects(`print 1`, /must start with the dataset/);
+});
+
+test('rejects comments that could swallow the row cap', () => {
+  rejects(`['delicious-sienna-fluke'] | where true //`, /Comments/);
+  rejects(`['delicious-sienna-fluke'] | where true /* c`, /Comments/);
+});
+
+test('leaves comment markers inside strings alone', () => {
+  assert.doesNotThrow(() => guard(`['delicious-sienna-fluke'] | where message contains "https://example.com"`));
+});
+
+test('rejects nested tabular subqueries', () => {
+  rejects(`['delicious-sienna-fluke'] | where id in ((['secret-audit'] | project id))`, /Subqueries/);
+  rejects(`['delicious-sienna-fluke'] | extend n = toscalar(['prod'] | count)`, /toscalar|Subqueries/);
+});
+
+test('rejects datasets in in-lists', () => {
+  rejects(`['delicious-sienna-fluke'] | where id in (['prod'])`, /Subqueries/);
+  rejects(`['delicious-sienna-fluke'] | where id !in (['prod'])`, /Subqueries/);
+});
+
+test('allows bracket-quoted field names', () => {
+  assert.doesNotThrow(() =>
+    guard(`['delicious-sienna-fluke'] | where ['metadata.video_id'] == "v1" | summarize sum(['duration.ms'])`));
+});
+
+test('rejects operators that read other datasets', () => {
+  rejects(`['delicious-sienna-fluke'] | union ['prod']`, /union/);
+  rejects(`['delicious-sienna-fluke'] | join (['prod']) on id`, /join/);
+});
+
+test('rejects control commands and multiple statements', () => {
+  rejects(`['delicious-sienna-fluke'] | .delete`, /Control commands/);
+  rejects(`['delicious-sienna-fluke'] | count; ['prod'] | count`, /single query/);
+});
+
+test('rejects row limits over the cap', () => {
+  rejects(`['delicious-sienna-fluke'] | limit 5000`, /at most 1000 rows/);
+  rejects(`['delicious-sienna-fluke'] | take 1001`, /at most 1000 rows/);
+  rejects(`['delicious-sienna-fluke'] | top 2000 by _time`, /at most 1000 rows/);
+  assert.doesNotThrow(() => guard(`['delicious-sienna-fluke'] | take 10`));
+});
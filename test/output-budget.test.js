@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { budgetToolResult } from '../lib/output-budget.js';
+
+const long = (char, length) => char.repeat(length);
+
+test('never trims cursors, confirmation tokens or archive IDs', () => {
+  const result = budgetToolResult({
+    nextCursor: long('c', 2500),
+    confirmationToken: long('t', 2500),
+    archive: { archiveId: long('a', 2500) },
+    logs: Array.from({ length: 40 }, () => ({ time: 't', message: long('m', 3000), detail: long('d', 3000) }))
+  }, { maxChars: 30000, maxMessageChars: 100 });
+
+  assert.equal(result.nextCursor, long('c', 2500));
+  assert.equal(result.confirmationToken, long('t', 2500));
+  assert.equal(result.archive.archiveId, long('a', 2500));
+  assert.ok(result.logs[0].message.length < 200);
+  assert.ok(result.logs[0].detail.length < 200);
+  assert.ok(result.truncation);
+});
+
+test('returns results within the budget unchanged', () => {
+  const result = { logs: [{ time: 't', message: 'short' }], nextCursor: null };
+  assert.deepEqual(budgetToolResult(result, { maxChars: 10000 }), result);
+});
@@ -1,9 +1,12 @@
 #!/usr/bin/env python3
 import json
+import os
 import requests
 import time
 import threading
 
+HEADERS = {'Authorization': f"Bearer {os.environ.get('MCP_API_KEY', '')}"}
+
 def test_missing_tool(tool_name, args):
     """Test if a tool can be called even if not listed"""
     
@@ -11,7 +14,7 @@ def test_missing_tool(tool_name, args):
     print(f"Arguments: {json.dumps(args, indent=2)}")
     
     # Get session ID
-    sse_response = requests.get('https://axiom-mcp-server.fly.dev/sse', stream=True)
+    sse_response = requests.get('https://axiom-mcp-server.fly.dev/sse', stream=True, headers=HEADERS)
     session_id = None
     
     for line in sse_response.iter_lines():
@@ -72,7 +75,7 @@ def test_missing_tool(tool_name, args):
     print(f"\nSending request to: {url}")
     
     try:
-        response = requests.post(url, json=payload)
+        response = requests.post(url, json=payload, headers=HEADERS)
         print(f"POST response: {response.status_code} - {response.text}")
     except Exception as e:
         print(f"Request error: {e}")
@@ -4,7 +4,10 @@ import fetch from 'node-fetch';
 async function testSSEConnection() {
   console.log('Connecting to SSE endpoint...');
   
-  const eventSource = new EventSource('https://axiom-mcp-server.fly.dev/sse');
+  const headers = { Authorization: `Bearer ${process.env.MCP_API_KEY || ''}` };
+  const eventSource = new EventSource('https://axiom-mcp-server.fly.dev/sse', {
+    fetch: (input, init) => fetch(input, { ...init, headers: { ...init.headers, ...headers } })
+  });
   
   eventSource.onopen = () => {
     console.log('SSE connection opened');
@@ -23,7 +26,7 @@ async function testSSEConnection() {
       // Send tools/list request
       const response = await fetch(`https://axiom-mcp-server.fly.dev/message?sessionId=${sessionId}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...headers },
         body: JSON.stringify({
           jsonrpc: '2.0',
           method: 'tools/list',
@@ -1,14 +1,17 @@
 #!/usr/bin/env python3
 import json
+import os
 import requests
 import sseclient
 import threading
 import time
 
+HEADERS = {'Authorization': f"Bearer {os.environ.get('MCP_API_KEY', '')}"}
+
 def test_mcp_tools():
     # First establish SSE connection
     print("Connecting to SSE endpoint...")
-    sse_response = requests.get('https://axiom-mcp-server.fly.dev/sse', stream=True)
+    sse_response = requests.get('https://axiom-mcp-server.fly.dev/sse', stream=True, headers=HEADERS)
     client = sseclient.SSEClient(sse_response)
     
     session_id = None
@@ -41,7 +44,7 @@ def test_mcp_tools():
         print(f"\nSending tools/list request to {url}")
         print(f"Payload: {json.dumps(payload, indent=2)}")
         
-        response = requests.post(url, json=payload)
+        response = requests.post(url, json=payload, headers=HEADERS)
         print(f"POST response: {response.text}")
     
     # Start request thread
@@ -17,7 +17,7 @@ mkfifo "$PIPE"
 
 # Start SSE listener in background
 (
-    curl -s -N "https://axiom-mcp-server.fly.dev/sse" | while IFS= read -r line; do
+    curl -s -N -H "Authorization: Bearer $MCP_API_KEY" "https://axiom-mcp-server.fly.dev/sse" | while IFS= read -r line; do
         echo "$line" >> "$PIPE"
     done
 ) &
@@ -49,6 +49,7 @@ fi
 echo "Sending tools/list request..."
 curl -s -X POST "https://axiom-mcp-server.fly.dev/message?sessionId=$SESSION_ID" \
     -H "Content-Type: application/json" \
+    -H "Authorization: Bearer $MCP_API_KEY" \
     -d '{"jsonrpc":"2.0","method":"tools/list","params":{},"id":1}' &
 
 # Read the response